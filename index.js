@@ -1,6 +1,13 @@
+import { greetingToolsApi } from './src/api.js';
+import { runCleanupFlow } from './src/cleanup.js';
+import { initGreetingOverrides } from './src/greeting-overrides.js';
+import { initGreetingWorldInfo } from './src/greeting-world-info.js';
 import { setupButtonIntercept } from './src/popup.js';
+import { initRandomGreeting } from './src/random-greeting.js';
 import { initGreetingSelector } from './src/selector.js';
-import { initSettings, injectSettingsUI } from './src/settings.js';
+import { checkForPromptUpdates, initSettings, injectSettingsUI } from './src/settings.js';
+import { registerSlashCommands } from './src/slash-commands.js';
+import { initUsageTracking } from './src/usage.js';
 import { Popup } from '/scripts/popup.js';
 import { t } from '/scripts/i18n.js';
 import { disableExtension } from '/scripts/extensions.js';
@@ -8,6 +15,9 @@ import { disableExtension } from '/scripts/extensions.js';
 export const EXTENSION_KEY = 'greeting_tools';
 export const EXTENSION_NAME = 'SillyTavern-GreetingTools';
 
+// Public API for other extensions, see src/api.js
+export { greetingToolsApi };
+
 let initializeCalled = false;
 export let initialized = false;
 
@@ -28,14 +38,29 @@ export async function init() {
 
     setupButtonIntercept();
     initGreetingSelector();
+    initRandomGreeting();
+    initUsageTracking();
+    initGreetingWorldInfo();
+    initGreetingOverrides();
+    registerSlashCommands();
+
+    globalThis.GreetingTools = greetingToolsApi;
 
     eventSource.on(eventTypes.APP_INITIALIZED, checkMacroEngine);
+    eventSource.on(eventTypes.APP_INITIALIZED, checkForPromptUpdates);
 
     console.debug(`[${EXTENSION_NAME}] Extension activated`);
 
     initialized = true;
 }
 
+/**
+ * Extension uninstall hook - offers to remove all data stored by Greeting Tools
+ */
+export async function onDelete() {
+    await runCleanupFlow({ isUninstall: true });
+}
+
 // TODO: This function is needed as long as the experimental macro engine can be off
 async function checkMacroEngine() {
     const { powerUserSettings, POPUP_RESULT } = SillyTavern.getContext();
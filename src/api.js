@@ -0,0 +1,176 @@
+/**
+ * Public JavaScript API of Greeting Tools extension.
+ * Lets other extensions and scripts read and change greetings without importing modules under `src/`, which may change
+ * at any time. Available as `globalThis.GreetingTools`, or imported from the extension's `index.js`:
+ *
+ *     const greetings = GreetingTools.getGreetings({ chid: SillyTavern.getContext().characterId });
+ *
+ * All functions take an optional character ID and default to the current character.
+ */
+
+import { characters, this_chid } from '../../../../../script.js';
+import { getGreetingToolsData, saveGreetingToolsData } from './data.js';
+import { emitGreetingChanges, greeting_event_types } from './events.js';
+import { generateGreetingContent, generateTitleAndDescription } from './generator.js';
+import { getAllGreetingOptions, getGreetingOptions, isGreetingChangeable, switchToGreeting } from './selector.js';
+
+/** Version of the API, increased on breaking changes */
+export const GREETING_TOOLS_API_VERSION = 1;
+
+/**
+ * A greeting of a character, as returned by the API.
+ * @typedef {Object} ApiGreeting
+ * @property {string} id - Greeting ID
+ * @property {number} swipeIndex - Swipe index (0 = main, 1+ = alternate or temporary)
+ * @property {string} title - Title, or a default title for untitled greetings
+ * @property {string} description - Description
+ * @property {string[]} tags - Tags
+ * @property {string} content - Greeting text
+ * @property {boolean} isTemp - Whether this is a temporary greeting of the current chat
+ */
+
+/**
+ * Resolves the character ID of an API call.
+ * @param {string | number | undefined} chid - Character ID, or undefined for the current character
+ * @returns {string} The character ID
+ * @throws {Error} If there is no such character
+ */
+function resolveChid(chid) {
+    const id = chid ?? this_chid;
+    if (id === undefined || !characters[id]) {
+        throw new Error(`[GreetingTools] Character not found: ${chid ?? '(no character selected)'}`);
+    }
+    return String(id);
+}
+
+/**
+ * Captures the position, content and metadata of the main and alternate greetings on the card, like the greetings
+ * popup does, to detect which greetings a save changed.
+ * @param {import('./data.js').GreetingToolsData} data - The Greeting Tools data of a character
+ * @param {string} chid - Character ID
+ * @returns {Map<string, import('./events.js').GreetingSnapshotEntry>} Greetings by ID
+ */
+function createGreetingsSnapshot(data, chid) {
+    const character = characters[chid];
+    const alternateGreetings = character?.data?.alternate_greetings ?? [];
+
+    /** @type {Map<string, import('./events.js').GreetingSnapshotEntry>} */
+    const snapshot = new Map();
+    const addEntry = (greetingId, meta, swipeIndex, content) => {
+        const { title, description, tags, weight, worldInfo, scenario, authorsNote } = meta;
+        snapshot.set(greetingId, {
+            swipeIndex,
+            signature: JSON.stringify([content, title, description, tags, weight, worldInfo, scenario, authorsNote]),
+        });
+    };
+
+    if (data.mainGreeting?.id) {
+        addEntry(data.mainGreeting.id, data.mainGreeting, 0, character?.first_mes ?? '');
+    }
+    for (const [altIndex, greetingId] of Object.entries(data.indexMap ?? {})) {
+        const meta = data.greetings?.[greetingId];
+        if (meta) {
+            addEntry(greetingId, meta, Number(altIndex) + 1, alternateGreetings[Number(altIndex)] ?? '');
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Public API of Greeting Tools. Frozen, so other extensions can't change it for each other.
+ */
+export const greetingToolsApi = Object.freeze({
+    version: GREETING_TOOLS_API_VERSION,
+
+    /** Names of the greeting lifecycle events emitted through eventSource */
+    events: greeting_event_types,
+
+    /**
+     * Gets the main and alternate greetings of a character with their titles, and the temporary greetings of the
+     * current chat if it is the current character.
+     * @param {object} [options]
+     * @param {string | number} [options.chid] - Character ID
+     * @returns {ApiGreeting[]}
+     */
+    getGreetings({ chid } = {}) {
+        const id = resolveChid(chid);
+        const options = id === String(this_chid) ? getAllGreetingOptions({ onlyValidSwipes: false }) : getGreetingOptions({ chid: id });
+        return options.map(option => ({
+            id: option.id,
+            swipeIndex: option.swipeIndex,
+            title: option.title,
+            description: option.description,
+            tags: [...option.tags],
+            content: option.content,
+            isTemp: !!option.isTemp,
+        }));
+    },
+
+    /**
+     * Gets the stored Greeting Tools data of a character (titles, descriptions, tags and other metadata by greeting ID).
+     * Returns a copy - change it and pass it to {@link saveGreetingToolsData} to save changes.
+     * @param {object} [options]
+     * @param {string | number} [options.chid] - Character ID
+     * @returns {import('./data.js').GreetingToolsData}
+     */
+    getGreetingToolsData({ chid } = {}) {
+        return structuredClone(getGreetingToolsData({ chid: resolveChid(chid) }));
+    },
+
+    /**
+     * Saves the Greeting Tools data of a character.
+     * Emits the greeting events for the greetings the save created, deleted, reordered or changed.
+     * @param {import('./data.js').GreetingToolsData} data - The data, e.g. as returned by {@link getGreetingToolsData}
+     * @param {object} [options]
+     * @param {string | number} [options.chid] - Character ID
+     * @returns {Promise<void>}
+     */
+    async saveGreetingToolsData(data, { chid } = {}) {
+        const id = resolveChid(chid);
+        const before = createGreetingsSnapshot(getGreetingToolsData({ chid: id }), id);
+        await saveGreetingToolsData(data, { chid: id });
+        await emitGreetingChanges(before, createGreetingsSnapshot(data, id), id);
+    },
+
+    /**
+     * Switches the first message of the current chat to a greeting.
+     * Only possible while the chat has just the greeting, and only for the character of the current chat.
+     * @param {number} swipeIndex - Swipe index of the greeting (0 = main, 1+ = alternate or temporary)
+     * @param {object} [options]
+     * @param {string | number} [options.chid] - Character ID, must be the character of the current chat
+     * @returns {Promise<boolean>} Whether the greeting was switched
+     */
+    async switchToGreeting(swipeIndex, { chid } = {}) {
+        if (resolveChid(chid) !== String(this_chid) || !isGreetingChangeable()) return false;
+        if (!getAllGreetingOptions().some(option => option.swipeIndex === swipeIndex)) return false;
+
+        await switchToGreeting(swipeIndex);
+        return true;
+    },
+
+    /**
+     * Generates the content of a new greeting with the configured prompts. Does not add it to the character.
+     * @param {string} [prompt] - Optional theme or scenario of the greeting
+     * @param {object} [options]
+     * @param {string | number} [options.chid] - Character ID
+     * @param {import('./settings.js').WordRange} [options.length] - Word range of the greeting (defaults to the length from settings)
+     * @param {AbortController} [options.abortController] - Controller to cancel the generation
+     * @returns {Promise<string | null>} The greeting content, or null on failure or cancel
+     */
+    async generateGreetingContent(prompt = '', { chid, length, abortController } = {}) {
+        return await generateGreetingContent(prompt, { chid: resolveChid(chid), length, abortController });
+    },
+
+    /**
+     * Generates a title and description for a greeting text. Does not save them.
+     * @param {string} content - The greeting content
+     * @param {object} [options]
+     * @param {string | number} [options.chid] - Character ID, whose existing titles are avoided
+     * @param {boolean} [options.showLoader=true] - Whether to show the blocking loader
+     * @param {AbortController} [options.abortController] - Controller to cancel the generation
+     * @returns {Promise<{ title: string, description: string } | null>} The title and description, or null on failure or cancel
+     */
+    async generateTitleAndDescription(content, { chid, showLoader = true, abortController } = {}) {
+        return await generateTitleAndDescription(content, { chid: resolveChid(chid), showLoader, abortController });
+    },
+});
@@ -0,0 +1,229 @@
+/**
+ * Greeting bundles: standalone export and import of a character's greetings as JSON or Markdown.
+ * Used to move greeting sets between card versions and collaborators.
+ */
+
+import { escapeRegex, getStringHash } from '../../../../utils.js';
+import { normalizeGreetingTags } from './data.js';
+
+/** Format identifier of greeting bundles, used to recognize them on import */
+export const GREETING_BUNDLE_FORMAT = 'greeting-tools-bundle';
+
+/** Current version of the bundle format */
+export const GREETING_BUNDLE_VERSION = 1;
+
+/** Opening marker of a greeting in Markdown bundles, followed by the greeting details as JSON */
+const MARKDOWN_GREETING_START = '<!-- greeting-tools ';
+
+/** Closing marker of a greeting in Markdown bundles */
+const MARKDOWN_GREETING_END = '<!-- /greeting-tools -->';
+
+/**
+ * @typedef {Object} BundledGreeting
+ * @property {string} title - Greeting title
+ * @property {string} description - Greeting description
+ * @property {string[]} tags - Greeting tags
+ * @property {string} content - Greeting text content
+ * @property {number} contentHash - Hash of the content
+ */
+
+/**
+ * @typedef {Object} GreetingBundle
+ * @property {string} format - Always {@link GREETING_BUNDLE_FORMAT}
+ * @property {number} version - Bundle format version
+ * @property {string} character - Name of the character the greetings were exported from
+ * @property {number} exportedAt - When the bundle was exported
+ * @property {BundledGreeting[]} greetings - Greetings in order, the main greeting first
+ */
+
+/**
+ * @typedef {'append' | 'replace' | 'skip'} BundleMergeMode
+ * - append: add all imported greetings as new alternates
+ * - replace: imported greetings with the title of an existing greeting replace it, others are added
+ * - skip: imported greetings with the same content as an existing greeting are skipped, others are added
+ */
+
+/**
+ * @typedef {Object} BundleMergePlan
+ * @property {BundledGreeting[]} added - Greetings to add as new alternates
+ * @property {{ index: number, greeting: BundledGreeting }[]} replaced - Existing greetings (by index) to replace
+ * @property {BundledGreeting[]} skipped - Greetings that are not imported
+ */
+
+/**
+ * Normalizes a greeting read from a bundle (or the popup), recomputing the content hash.
+ * @param {any} greeting - The greeting
+ * @returns {BundledGreeting | null} The greeting, or null if it has no text content
+ */
+function normalizeBundledGreeting(greeting) {
+    if (!greeting || typeof greeting.content !== 'string') return null;
+    return {
+        title: typeof greeting.title === 'string' ? greeting.title.trim() : '',
+        description: typeof greeting.description === 'string' ? greeting.description.trim() : '',
+        tags: normalizeGreetingTags(Array.isArray(greeting.tags) ? greeting.tags : []),
+        content: greeting.content,
+        contentHash: getStringHash(greeting.content),
+    };
+}
+
+/**
+ * Creates a greeting bundle.
+ * @param {string} characterName - Name of the character
+ * @param {{ title: string, description: string, tags?: string[], content: string }[]} greetings - Greetings in order, the main greeting first
+ * @returns {GreetingBundle}
+ */
+export function createGreetingBundle(characterName, greetings) {
+    return {
+        format: GREETING_BUNDLE_FORMAT,
+        version: GREETING_BUNDLE_VERSION,
+        character: characterName,
+        exportedAt: Date.now(),
+        greetings: greetings.map(normalizeBundledGreeting).filter(Boolean),
+    };
+}
+
+/**
+ * Serializes a greeting bundle as JSON.
+ * @param {GreetingBundle} bundle - The bundle
+ * @returns {string}
+ */
+export function bundleToJson(bundle) {
+    return JSON.stringify(bundle, null, 4);
+}
+
+/**
+ * Serializes a greeting bundle as Markdown.
+ * Titles and descriptions are readable as headings and quotes, while the details of each greeting
+ * are kept in HTML comments around its content, so the file can be imported again.
+ * @param {GreetingBundle} bundle - The bundle
+ * @returns {string}
+ */
+export function bundleToMarkdown(bundle) {
+    const header = {
+        format: bundle.format,
+        version: bundle.version,
+        character: bundle.character,
+        exportedAt: bundle.exportedAt,
+    };
+    const lines = [
+        `# ${bundle.character}`,
+        `<!-- ${GREETING_BUNDLE_FORMAT} ${JSON.stringify(header)} -->`,
+        '',
+    ];
+
+    bundle.greetings.forEach((greeting, i) => {
+        const label = i === 0 ? 'Main Greeting' : `Greeting ${i}`;
+        lines.push(`## ${label}${greeting.title ? `: ${greeting.title}` : ''}`, '');
+        if (greeting.description) {
+            lines.push(...greeting.description.split('\n').map(line => `> ${line}`), '');
+        }
+        if (greeting.tags.length > 0) {
+            lines.push(greeting.tags.map(tag => `\`#${tag}\``).join(' '), '');
+        }
+        const details = { title: greeting.title, description: greeting.description, tags: greeting.tags };
+        lines.push(`${MARKDOWN_GREETING_START}${JSON.stringify(details)} -->`, greeting.content, MARKDOWN_GREETING_END, '');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Parses the greetings of a Markdown bundle.
+ * A greeting only starts after the end marker of the previous one, so greeting content that contains
+ * a line looking like an opening marker stays part of that greeting.
+ * @param {string} text - The Markdown text
+ * @returns {{ version?: number, character: string, greetings: any[] }}
+ */
+function parseMarkdownBundle(text) {
+    const startPattern = new RegExp(`^${escapeRegex(MARKDOWN_GREETING_START)}(.*) -->$`, 'gm');
+    const headerMatch = text.match(new RegExp(`^<!-- ${GREETING_BUNDLE_FORMAT} (.*) -->$`, 'm'));
+    const header = headerMatch ? JSON.parse(headerMatch[1]) : {};
+
+    const greetings = [];
+    let match;
+    while ((match = startPattern.exec(text)) !== null) {
+        const contentStart = match.index + match[0].length + 1;
+        const contentEnd = text.indexOf(`\n${MARKDOWN_GREETING_END}`, contentStart);
+        if (contentEnd === -1) break;
+
+        const details = JSON.parse(match[1]);
+        greetings.push({ ...details, content: text.slice(contentStart, contentEnd) });
+        startPattern.lastIndex = contentEnd + 1 + MARKDOWN_GREETING_END.length;
+    }
+
+    return { version: header.version, character: header.character ?? '', greetings };
+}
+
+/**
+ * Parses a greeting bundle from a JSON or Markdown file.
+ * @param {string} text - The file content
+ * @returns {GreetingBundle} The bundle
+ * @throws {Error} If the text is not a greeting bundle or contains no greetings
+ */
+export function parseGreetingBundle(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    const parsed = trimmed.startsWith('{') ? JSON.parse(trimmed) : parseMarkdownBundle(text.replace(/\r\n/g, '\n'));
+
+    if (trimmed.startsWith('{') && parsed.format !== GREETING_BUNDLE_FORMAT) {
+        throw new Error('Not a greeting bundle');
+    }
+    if (Number(parsed.version) > GREETING_BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle version ${parsed.version}`);
+    }
+
+    const greetings = (Array.isArray(parsed.greetings) ? parsed.greetings : []).map(normalizeBundledGreeting).filter(Boolean);
+    if (greetings.length === 0) {
+        throw new Error('The bundle contains no greetings');
+    }
+
+    return {
+        format: GREETING_BUNDLE_FORMAT,
+        version: GREETING_BUNDLE_VERSION,
+        character: typeof parsed.character === 'string' ? parsed.character : '',
+        exportedAt: Number(parsed.exportedAt) || 0,
+        greetings,
+    };
+}
+
+/**
+ * Plans how imported greetings are merged into existing ones.
+ * Does not modify anything, the plan is applied by the caller.
+ * @param {{ title: string, content: string }[]} existing - Existing greetings in order, the main greeting first
+ * @param {BundledGreeting[]} imported - Imported greetings
+ * @param {BundleMergeMode} mode - How conflicts are handled
+ * @returns {BundleMergePlan}
+ */
+export function planBundleMerge(existing, imported, mode) {
+    /** @type {BundleMergePlan} */
+    const plan = { added: [], replaced: [], skipped: [] };
+    const existingHashes = new Set(existing.map(greeting => getStringHash(greeting.content)));
+    const replacedIndexes = new Set();
+
+    for (const greeting of imported) {
+        // Empty greetings can't be shown as a swipe
+        if (!greeting.content.trim()) {
+            plan.skipped.push(greeting);
+            continue;
+        }
+
+        if (mode === 'skip' && existingHashes.has(greeting.contentHash)) {
+            plan.skipped.push(greeting);
+            continue;
+        }
+
+        if (mode === 'replace' && greeting.title) {
+            const title = greeting.title.toLowerCase();
+            const index = existing.findIndex((e, i) => !replacedIndexes.has(i) && e.title.trim().toLowerCase() === title);
+            if (index !== -1) {
+                replacedIndexes.add(index);
+                plan.replaced.push({ index, greeting });
+                continue;
+            }
+        }
+
+        plan.added.push(greeting);
+        existingHashes.add(greeting.contentHash);
+    }
+
+    return plan;
+}
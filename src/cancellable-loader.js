@@ -0,0 +1,63 @@
+/**
+ * Blocking loader with a cancel button and a progress line, for long-running actions of Greeting Tools extension.
+ * Shown as a modal dialog, so it also covers (and blocks) popups that are open while it runs.
+ */
+
+import { t } from '../../../../i18n.js';
+
+/**
+ * @typedef {Object} CancellableLoader
+ * @property {(text: string) => void} setProgress - Updates the progress line below the message
+ * @property {() => Promise<void>} hide - Hides the loader
+ */
+
+/**
+ * Shows a blocking loader with a cancel button, which aborts the given controller when clicked.
+ * Pressing Escape cancels as well.
+ * @param {string} message - The loader message
+ * @param {AbortController} abortController - Controller to abort when the user cancels
+ * @returns {CancellableLoader}
+ */
+export function showCancellableLoader(message, abortController) {
+    const dialog = document.createElement('dialog');
+    dialog.classList.add('greeting-tools-loader');
+    dialog.innerHTML = `
+        <div class="greeting-tools-loader-content">
+            <i class="fa-solid fa-gear fa-spin fa-3x"></i>
+            <div class="greeting-tools-loader-message"></div>
+            <small class="greeting-tools-loader-progress"></small>
+            <button type="button" class="menu_button greeting-tools-loader-cancel">${t`Cancel`}</button>
+        </div>
+    `;
+
+    const messageEl = /** @type {HTMLElement} */ (dialog.querySelector('.greeting-tools-loader-message'));
+    const progressEl = /** @type {HTMLElement} */ (dialog.querySelector('.greeting-tools-loader-progress'));
+    const cancelButton = /** @type {HTMLButtonElement} */ (dialog.querySelector('.greeting-tools-loader-cancel'));
+    messageEl.textContent = message;
+
+    const cancel = () => {
+        if (abortController.signal.aborted) return;
+        abortController.abort();
+        cancelButton.disabled = true;
+        cancelButton.textContent = t`Cancelling...`;
+    };
+    cancelButton.addEventListener('click', cancel);
+    dialog.addEventListener('cancel', (e) => {
+        // Escape cancels the action, the dialog stays until the action stopped
+        e.preventDefault();
+        cancel();
+    });
+
+    document.body.append(dialog);
+    dialog.showModal();
+
+    return {
+        setProgress: (text) => {
+            progressEl.textContent = text;
+        },
+        hide: async () => {
+            dialog.close();
+            dialog.remove();
+        },
+    };
+}
@@ -0,0 +1,168 @@
+/**
+ * Restarting chats from another greeting.
+ * Once a chat continued past the greeting, the selector can no longer switch greetings. Instead, it starts a new chat
+ * or branches the current one from its first message, and switches that chat to the chosen greeting.
+ */
+
+import { chat, chat_metadata, doNewChat, saveChatConditional, this_chid } from '../../../../../script.js';
+import { branchChat } from '../../../../bookmarks.js';
+import { Popup, POPUP_RESULT, POPUP_TYPE } from '../../../../popup.js';
+import { t } from '../../../../i18n.js';
+import { escapeHtml } from '../../../../utils.js';
+import { EXTENSION_NAME } from '../index.js';
+import { getTempGreetings, saveTempGreetings } from './data.js';
+import { withoutRandomGreeting } from './random-greeting.js';
+import { addTempGreetingSwipe, getCurrentSwipeId, switchToGreeting } from './selector.js';
+
+/** @typedef {import('./selector.js').GreetingOption} GreetingOption */
+
+/** Popup result for branching the current chat instead of starting a new one */
+const RESTART_RESULT_BRANCH = 2;
+
+/**
+ * @typedef {Object} RestartChoice
+ * @property {boolean} branch - Branch the current chat from its first message, instead of starting a new chat
+ * @property {boolean} carryTempGreetings - Keep the temporary greetings of the current chat in the new chat
+ */
+
+/**
+ * Asks how to restart the chat with a greeting.
+ * @param {GreetingOption} option - The chosen greeting
+ * @param {number} tempCount - Number of temporary greetings in the current chat
+ * @returns {Promise<RestartChoice | null>} The choice, or null if cancelled
+ */
+async function showRestartPopup(option, tempCount) {
+    const content = document.createElement('div');
+    content.classList.add('flex-container', 'flexFlowColumn', 'gap5', 'justifyLeft');
+    content.innerHTML = `
+        <h3>${t`Restart with "${escapeHtml(option.title)}"`}</h3>
+        <p>${t`This chat already continued past its greeting. Start a new chat with this greeting, or branch this chat from its first message and switch the branch to this greeting.`}</p>
+        <label class="checkbox_label ${tempCount > 0 ? '' : 'displayNone'}">
+            <input type="checkbox" class="greeting-tools-restart-carry-temp">
+            <span>${t`Carry over temporary greetings (${tempCount})`}</span>
+        </label>
+    `;
+
+    // A temporary greeting only exists in this chat, so it can't be chosen without carrying it over
+    const carryTempInput = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-restart-carry-temp'));
+    carryTempInput.checked = !!option.isTemp;
+    carryTempInput.disabled = !!option.isTemp;
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: t`Start new chat`,
+        cancelButton: t`Cancel`,
+        customButtons: [
+            {
+                text: t`Branch from greeting`,
+                result: RESTART_RESULT_BRANCH,
+                icon: 'fa-code-branch',
+            },
+        ],
+    });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE && result !== RESTART_RESULT_BRANCH) return null;
+
+    return {
+        branch: result === RESTART_RESULT_BRANCH,
+        carryTempGreetings: carryTempInput.checked,
+    };
+}
+
+/**
+ * Removes the temporary greetings from the first message of the current chat, e.g. of a branch that should not keep them.
+ */
+async function removeTempGreetingSwipes() {
+    const tempGreetings = getTempGreetings();
+    const firstMessage = chat[0];
+    if (tempGreetings.size === 0 || !Array.isArray(firstMessage?.swipes)) return;
+
+    // Remove from the end, so the remaining indices stay valid
+    for (const swipeIndex of [...tempGreetings.keys()].sort((a, b) => b - a)) {
+        firstMessage.swipes.splice(swipeIndex, 1);
+        firstMessage.swipe_info?.splice(swipeIndex, 1);
+    }
+    if ((firstMessage.swipe_id ?? 0) >= firstMessage.swipes.length) {
+        firstMessage.swipe_id = 0;
+        firstMessage.mes = firstMessage.swipes[0];
+    }
+
+    await saveTempGreetings(new Map(), { saveChat: false });
+}
+
+/**
+ * Starts a new chat, or branches the current chat from its first message, and switches it to a greeting.
+ * Only available once the current chat continued past its greeting.
+ * @param {GreetingOption} option - The greeting to start with
+ * @param {RestartChoice} choice - How to restart
+ * @returns {Promise<boolean>} Whether the new chat was created
+ */
+export async function restartWithGreeting(option, { branch, carryTempGreetings }) {
+    if (this_chid === undefined) return false;
+
+    const tempGreetings = getTempGreetings();
+    if (option.isTemp && !carryTempGreetings) {
+        toastr.warning(t`Temporary greetings can only be chosen when they are carried over`);
+        return false;
+    }
+
+    let targetSwipeIndex = option.swipeIndex;
+
+    try {
+        if (branch) {
+            // Branches keep the first message with all its swipes, and the chat metadata
+            const branchName = await branchChat(0);
+            if (!branchName) {
+                toastr.error(t`Failed to branch the chat`);
+                return false;
+            }
+
+            // The branch starts over, its greeting is counted again once it is switched to and the chat continues
+            const state = chat_metadata[EXTENSION_NAME] ?? {};
+            delete state.usageRecorded;
+            delete state.startGreeting;
+            state.startedUsageKey = null;
+            chat_metadata[EXTENSION_NAME] = state;
+            if (!carryTempGreetings) {
+                await removeTempGreetingSwipes();
+            }
+            await saveChatConditional();
+        } else {
+            await withoutRandomGreeting(() => doNewChat({ deleteCurrentChat: false }));
+
+            if (carryTempGreetings) {
+                for (const [swipeIndex, tempData] of [...tempGreetings].sort(([a], [b]) => a - b)) {
+                    const newSwipeIndex = await addTempGreetingSwipe(tempData);
+                    if (option.isTemp && swipeIndex === option.swipeIndex && newSwipeIndex !== null) {
+                        targetSwipeIndex = newSwipeIndex;
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        console.error('[GreetingTools] Failed to restart chat:', error);
+        toastr.error(branch ? t`Failed to branch the chat` : t`Failed to start a new chat`);
+        return false;
+    }
+
+    if (chat.length !== 1) {
+        console.warn('[GreetingTools] New chat does not start with a single greeting, not switching greetings');
+        return true;
+    }
+
+    if (targetSwipeIndex !== getCurrentSwipeId()) {
+        await switchToGreeting(targetSwipeIndex);
+    }
+    return true;
+}
+
+/**
+ * Asks how to restart the chat with a greeting, then starts the new chat or branch.
+ * @param {GreetingOption} option - The chosen greeting
+ * @returns {Promise<boolean>} Whether the chat was restarted, false if the popup was cancelled or the restart failed
+ */
+export async function promptRestartWithGreeting(option) {
+    const choice = await showRestartPopup(option, getTempGreetings().size);
+    if (!choice) return false;
+
+    return await restartWithGreeting(option, choice);
+}
@@ -0,0 +1,370 @@
+/**
+ * Cleanup of Greeting Tools data.
+ * Scans all characters, their chats and all group chats for data stored by this extension and removes it on request.
+ */
+
+import { characters, chat_metadata, getCurrentChatId, getPastCharacterChats, getRequestHeaders, saveChatConditional, saveSettingsDebounced, this_chid } from '../../../../../script.js';
+import { UNSET_VALUE, extension_settings, writeExtensionField } from '../../../../extensions.js';
+import { groups, selected_group } from '../../../../group-chats.js';
+import { Popup, POPUP_RESULT } from '../../../../popup.js';
+import { t } from '../../../../i18n.js';
+import { escapeHtml } from '../../../../utils.js';
+import { EXTENSION_KEY, EXTENSION_NAME } from '../index.js';
+import { showCancellableLoader } from './cancellable-loader.js';
+import { clearGreetingHistory, updateButtonAppearance } from './data.js';
+import { refreshGreetingSelector } from './selector.js';
+
+/**
+ * @typedef {Object} AffectedCharacter
+ * @property {string} chid - Character ID
+ * @property {string} name - Character name
+ */
+
+/**
+ * @typedef {Object} AffectedChat
+ * @property {string} [chid] - Character ID the chat belongs to, for character chats
+ * @property {string} [groupId] - Group ID the chat belongs to, for group chats
+ * @property {string} name - Character or group name
+ * @property {string} fileName - Chat file name (without extension), or chat ID of group chats
+ * @property {boolean} isCurrent - Whether this is the currently opened chat
+ */
+
+/**
+ * @typedef {Object} CleanupScanResult
+ * @property {AffectedCharacter[]} characters - Characters with Greeting Tools data on their card
+ * @property {AffectedChat[]} chats - Chats with Greeting Tools data in their metadata
+ * @property {boolean} [cancelled] - Whether the user cancelled, so the result is incomplete
+ */
+
+/**
+ * Reports the progress of a scan or removal.
+ * @callback CleanupProgressCallback
+ * @param {number} done - Number of finished steps
+ * @param {number} total - Number of all steps
+ * @param {string} name - Name of the character or group currently processed
+ */
+
+/**
+ * Loads a chat file of a character.
+ * @param {Character} character - The character the chat belongs to
+ * @param {string} fileName - Chat file name (without extension)
+ * @returns {Promise<object[] | null>} The chat (header first), or null if it could not be loaded
+ */
+async function fetchCharacterChat(character, fileName) {
+    const response = await fetch('/api/chats/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            ch_name: character.name,
+            file_name: fileName,
+            avatar_url: character.avatar,
+        }),
+    });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return Array.isArray(data) && data.length > 0 ? data : null;
+}
+
+/**
+ * Saves a chat file of a character.
+ * @param {Character} character - The character the chat belongs to
+ * @param {string} fileName - Chat file name (without extension)
+ * @param {object[]} chatData - The chat (header first)
+ * @returns {Promise<boolean>} Whether the chat was saved
+ */
+async function saveCharacterChat(character, fileName, chatData) {
+    const response = await fetch('/api/chats/save', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            ch_name: character.name,
+            file_name: fileName,
+            chat: chatData,
+            avatar_url: character.avatar,
+        }),
+    });
+    return response.ok;
+}
+
+/**
+ * Loads a group chat.
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<object[] | null>} The chat (header first, if it has one), or null if it could not be loaded
+ */
+async function fetchGroupChat(chatId) {
+    const response = await fetch('/api/chats/group/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ id: chatId }),
+    });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return Array.isArray(data) && data.length > 0 ? data : null;
+}
+
+/**
+ * Saves a group chat.
+ * @param {string} chatId - Chat ID
+ * @param {object[]} chatData - The chat (header first)
+ * @returns {Promise<boolean>} Whether the chat was saved
+ */
+async function saveGroupChat(chatId, chatData) {
+    const response = await fetch('/api/chats/group/save', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ id: chatId, chat: chatData }),
+    });
+    return response.ok;
+}
+
+/**
+ * Loads the chat file of an affected chat.
+ * @param {AffectedChat} affected - The chat
+ * @returns {Promise<object[] | null>} The chat (header first), or null if it could not be loaded
+ */
+async function fetchAffectedChat(affected) {
+    if (affected.groupId) return await fetchGroupChat(affected.fileName);
+
+    const character = characters[affected.chid];
+    return character ? await fetchCharacterChat(character, affected.fileName) : null;
+}
+
+/**
+ * Saves the chat file of an affected chat.
+ * @param {AffectedChat} affected - The chat
+ * @param {object[]} chatData - The chat (header first)
+ * @returns {Promise<boolean>} Whether the chat was saved
+ */
+async function saveAffectedChat(affected, chatData) {
+    if (affected.groupId) return await saveGroupChat(affected.fileName, chatData);
+
+    const character = characters[affected.chid];
+    return character ? await saveCharacterChat(character, affected.fileName, chatData) : false;
+}
+
+/**
+ * Scans all characters, their chats and all group chats for Greeting Tools data.
+ * Chat files are loaded one after another, so the scan can take a while for large libraries.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the scan, which then returns what was found so far
+ * @param {CleanupProgressCallback} [options.onProgress] - Called before each character or group is scanned
+ * @returns {Promise<CleanupScanResult>}
+ */
+export async function scanGreetingToolsData({ signal, onProgress } = {}) {
+    /** @type {CleanupScanResult} */
+    const result = { characters: [], chats: [] };
+    const currentChatId = getCurrentChatId();
+    const characterEntries = Object.entries(characters);
+    const total = characterEntries.length + groups.length;
+    let done = 0;
+
+    for (const [chid, character] of characterEntries) {
+        if (signal?.aborted) return { ...result, cancelled: true };
+        onProgress?.(done++, total, character.name);
+
+        if (character?.data?.extensions?.[EXTENSION_KEY]) {
+            result.characters.push({ chid, name: character.name });
+        }
+
+        const pastChats = await getPastCharacterChats(chid);
+        for (const pastChat of pastChats) {
+            if (signal?.aborted) return { ...result, cancelled: true };
+
+            const fileName = String(pastChat.file_name).replace('.jsonl', '');
+            const isCurrent = !selected_group && String(chid) === String(this_chid) && fileName === currentChatId;
+
+            // The open chat is checked in memory, as its file might not be saved yet
+            const metadata = isCurrent
+                ? chat_metadata
+                : (await fetchCharacterChat(character, fileName))?.[0]?.chat_metadata;
+
+            if (metadata?.[EXTENSION_NAME]) {
+                result.chats.push({ chid, name: character.name, fileName, isCurrent });
+            }
+        }
+    }
+
+    for (const group of groups) {
+        if (signal?.aborted) return { ...result, cancelled: true };
+        onProgress?.(done++, total, group.name);
+
+        for (const chatId of group.chats ?? []) {
+            if (signal?.aborted) return { ...result, cancelled: true };
+
+            const fileName = String(chatId);
+            const isCurrent = selected_group === group.id && fileName === currentChatId;
+            const metadata = isCurrent
+                ? chat_metadata
+                : (await fetchGroupChat(fileName))?.[0]?.chat_metadata;
+
+            if (metadata?.[EXTENSION_NAME]) {
+                result.chats.push({ groupId: group.id, name: group.name, fileName, isCurrent });
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Removes Greeting Tools data from the given characters and chats.
+ * @param {CleanupScanResult} scanResult - The data to remove, as returned by {@link scanGreetingToolsData}
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Signal to cancel the removal, which then returns what was removed so far
+ * @param {CleanupProgressCallback} [options.onProgress] - Called before each card or chat is cleaned
+ * @returns {Promise<CleanupScanResult>} The characters and chats the data was actually removed from
+ */
+export async function removeGreetingToolsData(scanResult, { signal, onProgress } = {}) {
+    /** @type {CleanupScanResult} */
+    const removed = { characters: [], chats: [] };
+    const total = scanResult.characters.length + scanResult.chats.length;
+    let done = 0;
+
+    for (const affected of scanResult.characters) {
+        if (signal?.aborted) return { ...removed, cancelled: true };
+        onProgress?.(done++, total, affected.name);
+
+        const character = characters[affected.chid];
+        if (!character) continue;
+        await writeExtensionField(affected.chid, EXTENSION_KEY, UNSET_VALUE);
+        delete character.data?.extensions?.[EXTENSION_KEY];
+        removed.characters.push(affected);
+    }
+
+    for (const affected of scanResult.chats) {
+        if (signal?.aborted) return { ...removed, cancelled: true };
+        onProgress?.(done++, total, affected.name);
+
+        if (affected.isCurrent) {
+            delete chat_metadata[EXTENSION_NAME];
+            await saveChatConditional();
+            removed.chats.push(affected);
+            continue;
+        }
+
+        const chatData = await fetchAffectedChat(affected);
+        const header = chatData?.[0];
+        if (!header?.chat_metadata?.[EXTENSION_NAME]) continue;
+
+        delete header.chat_metadata[EXTENSION_NAME];
+        if (await saveAffectedChat(affected, chatData)) {
+            removed.chats.push(affected);
+        } else {
+            console.warn('[GreetingTools] Failed to save chat during cleanup:', affected.fileName);
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Builds an HTML list of affected characters and chats.
+ * @param {CleanupScanResult} result - Scan or removal result
+ * @returns {string} HTML string
+ */
+function buildAffectedListHtml(result) {
+    const characterItems = result.characters.map(c => `<li>${escapeHtml(c.name)}</li>`).join('');
+    const chatItems = result.chats.map(c => `<li>${escapeHtml(c.name)}: <small>${escapeHtml(c.fileName)}</small></li>`).join('');
+
+    return `
+        <div class="greeting-tools-cleanup-list justifyLeft">
+            <h4>${t`Character cards`} (${result.characters.length})</h4>
+            ${characterItems ? `<ul>${characterItems}</ul>` : `<small>${t`None`}</small>`}
+            <h4>${t`Chats`} (${result.chats.length})</h4>
+            ${chatItems ? `<ul>${chatItems}</ul>` : `<small>${t`None`}</small>`}
+        </div>
+    `;
+}
+
+/**
+ * Runs the full cleanup flow: scans for data, reports what would be removed, asks for confirmation and removes it.
+ * @param {object} [options]
+ * @param {boolean} [options.isUninstall=false] - Whether the extension is being uninstalled (also removes the extension settings)
+ * @returns {Promise<void>}
+ */
+export async function runCleanupFlow({ isUninstall = false } = {}) {
+    const scanController = new AbortController();
+    const scanLoader = showCancellableLoader(t`Scanning characters and chats for Greeting Tools data...`, scanController);
+
+    /** @type {CleanupScanResult} */
+    let scanResult;
+    try {
+        scanResult = await scanGreetingToolsData({
+            signal: scanController.signal,
+            onProgress: (done, total, name) => scanLoader.setProgress(`${name} (${done + 1} / ${total})`),
+        });
+    } catch (error) {
+        console.error('[GreetingTools] Failed to scan for Greeting Tools data:', error);
+        toastr.error(t`Failed to scan for Greeting Tools data`);
+        return;
+    } finally {
+        await scanLoader.hide();
+    }
+
+    if (scanResult.cancelled) {
+        toastr.info(t`Scan cancelled, no Greeting Tools data was removed`);
+        return;
+    }
+
+    if (scanResult.characters.length === 0 && scanResult.chats.length === 0) {
+        if (isUninstall) {
+            delete extension_settings[EXTENSION_KEY];
+            saveSettingsDebounced();
+            await clearGreetingHistory();
+        }
+        toastr.info(t`No Greeting Tools data found`);
+        return;
+    }
+
+    const intro = isUninstall
+        ? t`Greeting Tools is being removed. Do you also want to remove the greeting titles, descriptions and temporary greetings it stored? The greetings themselves are not touched.`
+        : t`The following character cards and chats contain Greeting Tools data (titles, descriptions, usage statistics and temporary greetings). The revision history kept in this browser is removed as well. The greetings themselves are not touched.`;
+
+    const confirmed = await Popup.show.confirm(
+        t`Remove Greeting Tools Data?`,
+        `<p>${intro}</p>${buildAffectedListHtml(scanResult)}`,
+        { okButton: t`Remove`, cancelButton: isUninstall ? t`Keep data` : t`Cancel` },
+    ) === POPUP_RESULT.AFFIRMATIVE;
+
+    if (!confirmed) return;
+
+    const removeController = new AbortController();
+    const removeLoader = showCancellableLoader(t`Removing Greeting Tools data...`, removeController);
+
+    /** @type {CleanupScanResult} */
+    let removed;
+    try {
+        removed = await removeGreetingToolsData(scanResult, {
+            signal: removeController.signal,
+            onProgress: (done, total, name) => removeLoader.setProgress(`${name} (${done + 1} / ${total})`),
+        });
+        if (!removed.cancelled) {
+            await clearGreetingHistory();
+        }
+        if (isUninstall && !removed.cancelled) {
+            delete extension_settings[EXTENSION_KEY];
+            saveSettingsDebounced();
+        }
+    } catch (error) {
+        console.error('[GreetingTools] Failed to remove Greeting Tools data:', error);
+        toastr.error(t`Failed to remove Greeting Tools data`);
+        return;
+    } finally {
+        await removeLoader.hide();
+    }
+
+    if (!isUninstall) {
+        updateButtonAppearance();
+        refreshGreetingSelector();
+    }
+
+    const summary = removed.cancelled
+        ? t`Cancelled. Removed Greeting Tools data from ${removed.characters.length} character cards and ${removed.chats.length} chats before that.`
+        : t`Removed Greeting Tools data from ${removed.characters.length} character cards and ${removed.chats.length} chats.`;
+    await Popup.show.text(
+        t`Greeting Tools Data Removed`,
+        `<p>${summary}</p>${buildAffectedListHtml(removed)}`,
+    );
+}
@@ -3,10 +3,13 @@
  * Provides types, metadata CRUD, temp greeting CRUD, and shared utility functions.
  */
 
-import { characters, this_chid, chat_metadata, saveChatConditional } from '../../../../../script.js';
+import { characters, this_chid, chat_metadata, getRequestHeaders, saveChatConditional } from '../../../../../script.js';
 import { writeExtensionField } from '../../../../extensions.js';
 import { t, translate } from '../../../../i18n.js';
+import { getStringHash } from '../../../../utils.js';
+import { localforage } from '../../../../../lib.js';
 import { EXTENSION_KEY, EXTENSION_NAME } from '../index.js';
+import { emitGreetingEvent, greeting_event_types } from './events.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Types
@@ -17,14 +20,59 @@ import { EXTENSION_KEY, EXTENSION_NAME } from '../index.js';
  * @property {string} [id] - Unique greeting ID
  * @property {string} [title] - User-defined title for the greeting
  * @property {string} [description] - Optional description
+ * @property {string[]} [tags] - Tags for grouping and filtering greetings
+ * @property {number} [weight] - Weight when picking a random greeting (1 if not set, 0 = never picked)
+ * @property {GreetingWorldInfo} [worldInfo] - World Info activated while a chat runs with this greeting
+ * @property {string} [scenario] - Scenario override applied to the chat while this greeting is selected
+ * @property {string} [authorsNote] - Author's note applied to the chat while this greeting is selected
  * @property {number} [contentHash] - Hash of content when metadata was last set
  */
 
+/**
+ * @typedef {Object} GreetingWorldInfo
+ * @property {string[]} keywords - Keywords added to the World Info scan
+ * @property {{ world: string, uid: number }[]} entries - Linked World Info entries, activated regardless of their keys
+ */
+
 /**
  * @typedef {Object} GreetingToolsData
  * @property {GreetingMetadata} mainGreeting - Main greeting metadata
  * @property {{ [greetingId: string]: GreetingMetadata }} greetings - Greeting metadata keyed by unique ID
  * @property {{ [index: number]: string }} indexMap - Maps greeting index to greeting ID
+ * @property {{ [greetingId: string]: GreetingUsage }} [usage] - Usage statistics keyed by greeting ID, or by content for greetings without metadata
+ * @property {RandomGreetingSettings} [random] - Settings for picking a random greeting
+ */
+
+/**
+ * @typedef {Object} RandomGreetingSettings
+ * @property {boolean} onNewChat - Whether new chats automatically start with a random greeting
+ * @property {boolean} weighted - Whether greetings are picked by their weight instead of evenly
+ * @property {number} excludeRecent - Number of most recently used greetings that are not picked
+ */
+
+/**
+ * @typedef {'manual' | 'generated' | 'rewritten'} GreetingRevisionSource
+ */
+
+/**
+ * @typedef {Object} GreetingRevision
+ * @property {string} content - Greeting content of this version
+ * @property {string} title - Title of this version
+ * @property {string} description - Description of this version
+ * @property {number} timestamp - When this version was recorded
+ * @property {GreetingRevisionSource} source - How this version was created
+ */
+
+/**
+ * Revision history of a character's greetings, kept in the browser instead of the character card.
+ * @typedef {{ [greetingId: string]: GreetingRevision[] }} GreetingHistory Revisions keyed by greeting ID, oldest first
+ */
+
+/**
+ * @typedef {Object} GreetingUsage
+ * @property {number} count - Number of chats that continued past the first message with this greeting
+ * @property {number} [started] - Number of new chats that started with this greeting, i.e. showed it before the first reply
+ * @property {number} lastUsed - Timestamp of the last time a chat continued with this greeting (0 if none did yet)
  */
 
 /**
@@ -32,10 +80,28 @@ import { EXTENSION_KEY, EXTENSION_NAME } from '../index.js';
  * @property {string} id - Unique greeting ID
  * @property {string} title - Display title
  * @property {string} description - Description
+ * @property {string[]} [tags] - Tags for grouping and filtering greetings
  * @property {string} content - Greeting text content
  * @property {number} swipeIndex - Index in the swipes array
  */
 
+/**
+ * Snapshot of the greeting a chat started with, taken when the chat continued past the first message.
+ * @typedef {Object} StartGreetingSnapshot
+ * @property {string} id - Greeting ID
+ * @property {string} title - Greeting title at that time
+ * @property {number} contentHash - Hash of the greeting content at that time
+ * @property {number} swipeIndex - Swipe index of the greeting at that time
+ * @property {boolean} [isTemp] - Whether it was a temporary greeting
+ */
+
+/** @type {RandomGreetingSettings} */
+export const DEFAULT_RANDOM_GREETING_SETTINGS = Object.freeze({
+    onNewChat: false,
+    weighted: false,
+    excludeRecent: 0,
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Utility Functions
 // ─────────────────────────────────────────────────────────────────────────────
@@ -59,6 +125,69 @@ export function createTempMarker() {
     return tempMarker;
 }
 
+/**
+ * Normalizes greeting tags: trims them, strips leading '#', replaces whitespace with dashes
+ * and removes empty and duplicate tags (case-insensitive, first spelling wins).
+ * @param {string[] | string | undefined} tags - Tag list, or a comma-separated string of tags
+ * @returns {string[]} The normalized tags
+ */
+export function normalizeGreetingTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+    const seen = new Set();
+    const result = [];
+    for (const tag of list) {
+        const normalized = String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-');
+        const key = normalized.toLowerCase();
+        if (!normalized || seen.has(key)) continue;
+        seen.add(key);
+        result.push(normalized);
+    }
+    return result;
+}
+
+/**
+ * Splits a search term into tag filters (words starting with '#') and the remaining search text.
+ * @param {string} term - The search term, e.g. "#fantasy #sfw tavern"
+ * @returns {{ tags: string[], text: string }} The tags (without '#') and the remaining text
+ */
+export function parseTagFilter(term) {
+    const tags = [];
+    const words = [];
+    for (const word of String(term ?? '').trim().split(/\s+/)) {
+        if (word.startsWith('#') && word.length > 1) {
+            tags.push(word.substring(1));
+        } else if (word) {
+            words.push(word);
+        }
+    }
+    return { tags, text: words.join(' ') };
+}
+
+/**
+ * Checks whether a greeting has all of the given filter tags.
+ * Tags match case-insensitively by prefix, so filters already match while still typing.
+ * @param {string[] | undefined} greetingTags - Tags of the greeting
+ * @param {string[]} filterTags - Tags to filter by
+ * @returns {boolean}
+ */
+export function hasAllTags(greetingTags, filterTags) {
+    const tags = (greetingTags ?? []).map(tag => tag.toLowerCase());
+    return filterTags.every(filter => tags.some(tag => tag.startsWith(filter.toLowerCase())));
+}
+
+/**
+ * Creates a tag chip element.
+ * @param {string} tag - The tag
+ * @returns {HTMLElement} The tag chip span element
+ */
+export function createTagChip(tag) {
+    const chip = document.createElement('span');
+    chip.classList.add('greeting-tools-tag');
+    chip.dataset.tag = tag;
+    chip.textContent = tag;
+    return chip;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Character Metadata CRUD
 // ─────────────────────────────────────────────────────────────────────────────
@@ -87,6 +216,103 @@ export function findGreetingMetadata(metadata, index, contentHash) {
     return null;
 }
 
+/**
+ * Finds the metadata of a greeting by its ID.
+ * @param {GreetingToolsData} metadata - The greeting tools data
+ * @param {string} greetingId - The greeting ID
+ * @returns {GreetingMetadata | null} The metadata of the main or alternate greeting, or null if there is none
+ */
+export function findGreetingMetadataById(metadata, greetingId) {
+    if (metadata.mainGreeting?.id === greetingId) return metadata.mainGreeting;
+    return metadata.greetings[greetingId] ?? null;
+}
+
+/**
+ * Finds the metadata of a character's main or alternate greeting by its swipe index.
+ * @param {GreetingToolsData} metadata - The greeting tools data of the character
+ * @param {string} chid - Character ID
+ * @param {number} swipeIndex - Swipe index of the greeting (0 = main, 1+ = alternate)
+ * @returns {GreetingMetadata | null} The metadata, or null if there is none or no such greeting
+ */
+export function findGreetingMetadataBySwipeIndex(metadata, chid, swipeIndex) {
+    if (swipeIndex === 0) return metadata.mainGreeting ?? null;
+
+    const content = characters[chid]?.data?.alternate_greetings?.[swipeIndex - 1];
+    if (typeof content !== 'string') return null;
+    return findGreetingMetadata(metadata, swipeIndex - 1, getStringHash(content));
+}
+
+/**
+ * Moves the usage statistics counted by content to the ID of the greeting, once it has metadata.
+ * @param {GreetingToolsData} metadata - The greeting tools metadata (modified in place)
+ * @param {string} greetingId - ID of the greeting
+ * @param {number} contentHash - Hash of the greeting content
+ */
+function adoptContentUsage(metadata, greetingId, contentHash) {
+    const contentKey = `content_${contentHash}`;
+    if (!metadata.usage?.[contentKey]) return;
+
+    if (!metadata.usage[greetingId]) {
+        metadata.usage[greetingId] = metadata.usage[contentKey];
+    }
+    delete metadata.usage[contentKey];
+}
+
+/**
+ * Gets the metadata entry for a greeting by swipe index, creating it if it does not exist yet.
+ * Updates the content hash and the index mapping, so the returned entry can be modified and saved directly.
+ * @param {GreetingToolsData} metadata - The greeting tools metadata (modified in place)
+ * @param {number} swipeIndex - Swipe index of the greeting (0 = main, 1+ = alternate)
+ * @param {string} content - Current content of the greeting
+ * @returns {GreetingMetadata} The (possibly new) metadata entry
+ */
+export function ensureGreetingMetadata(metadata, swipeIndex, content) {
+    const contentHash = getStringHash(content);
+
+    if (swipeIndex === 0) {
+        metadata.mainGreeting = metadata.mainGreeting ?? {};
+        metadata.mainGreeting.id = metadata.mainGreeting.id ?? generateGreetingId();
+        metadata.mainGreeting.contentHash = contentHash;
+        adoptContentUsage(metadata, metadata.mainGreeting.id, contentHash);
+        return metadata.mainGreeting;
+    }
+
+    const altIndex = swipeIndex - 1;
+    let meta = findGreetingMetadata(metadata, altIndex, contentHash);
+    if (!meta) {
+        const id = generateGreetingId();
+        meta = { id, title: '', description: '' };
+        metadata.greetings[id] = meta;
+    }
+    meta.contentHash = contentHash;
+    metadata.indexMap[altIndex] = meta.id;
+    adoptContentUsage(metadata, meta.id, contentHash);
+    return meta;
+}
+
+/**
+ * Removes an alternate greeting from the metadata and shifts the index mapping of all following greetings.
+ * @param {GreetingToolsData} metadata - The greeting tools metadata (modified in place)
+ * @param {number} altIndex - Index of the removed greeting in the alternate_greetings array
+ */
+export function removeAlternateGreetingMetadata(metadata, altIndex) {
+    const removedId = metadata.indexMap[altIndex];
+
+    /** @type {{ [index: number]: string }} */
+    const indexMap = {};
+    for (const [key, greetingId] of Object.entries(metadata.indexMap)) {
+        const index = Number(key);
+        if (index < altIndex) indexMap[index] = greetingId;
+        else if (index > altIndex) indexMap[index - 1] = greetingId;
+    }
+    metadata.indexMap = indexMap;
+
+    if (removedId) {
+        delete metadata.greetings[removedId];
+        delete metadata.usage?.[removedId];
+    }
+}
+
 /**
  * Gets the greeting tools data for the current character.
  * @param {Object} [options={}]
@@ -97,12 +323,12 @@ export function getGreetingToolsData({ chid = null } = {}) {
     const id = chid ?? this_chid;
     const character = characters[id];
     if (!character) {
-        return { greetings: {}, indexMap: {}, mainGreeting: {} };
+        return { greetings: {}, indexMap: {}, mainGreeting: {}, usage: {}, random: { ...DEFAULT_RANDOM_GREETING_SETTINGS } };
     }
 
     const extensions = character?.data?.extensions;
     if (!extensions?.[EXTENSION_KEY]) {
-        return { greetings: {}, indexMap: {}, mainGreeting: {} };
+        return { greetings: {}, indexMap: {}, mainGreeting: {}, usage: {}, random: { ...DEFAULT_RANDOM_GREETING_SETTINGS } };
     }
 
     const data = extensions[EXTENSION_KEY];
@@ -110,6 +336,8 @@ export function getGreetingToolsData({ chid = null } = {}) {
         greetings: data.greetings ?? {},
         indexMap: data.indexMap ?? {},
         mainGreeting: data.mainGreeting ?? {},
+        usage: data.usage ?? {},
+        random: { ...DEFAULT_RANDOM_GREETING_SETTINGS, ...data.random },
     };
 }
 
@@ -129,6 +357,313 @@ export async function saveGreetingToolsData(data, { chid = null } = {}) {
     await writeExtensionField(id, EXTENSION_KEY, data);
 }
 
+/**
+ * Appends a new alternate greeting to a character, including its metadata.
+ * Only updates the character object and metadata - the character card itself still needs to be saved by the caller.
+ * @param {string} content - Greeting content
+ * @param {object} [options]
+ * @param {string} [options.id] - Greeting ID (generated if not provided)
+ * @param {string} [options.title=''] - Greeting title
+ * @param {string} [options.description=''] - Greeting description
+ * @param {string[]} [options.tags=[]] - Greeting tags
+ * @param {string} [options.chid] - Character ID
+ * @returns {Promise<number>} Swipe index of the new greeting, or -1 if no character is selected
+ */
+export async function addAlternateGreeting(content, { id = null, title = '', description = '', tags = [], chid = null } = {}) {
+    const character = characters[chid ?? this_chid];
+    if (!character) return -1;
+
+    // Ensure alternate_greetings array exists
+    if (!character.data) {
+        character.data = {};
+    }
+    if (!Array.isArray(character.data.alternate_greetings)) {
+        character.data.alternate_greetings = [];
+    }
+
+    const altIndex = character.data.alternate_greetings.length;
+    character.data.alternate_greetings.push(content);
+
+    const metadata = getGreetingToolsData({ chid });
+    const greetingId = id ?? generateGreetingId();
+    metadata.greetings[greetingId] = {
+        id: greetingId,
+        title,
+        description,
+        tags: normalizeGreetingTags(tags),
+        contentHash: getStringHash(content),
+    };
+    metadata.indexMap[altIndex] = greetingId;
+    await saveGreetingToolsData(metadata, { chid });
+    await emitGreetingEvent(greeting_event_types.GREETING_CREATED, { greetingId, swipeIndex: altIndex + 1, chid: chid ?? this_chid });
+
+    return altIndex + 1;
+}
+
+/**
+ * Deletes an alternate greeting from a character, including its metadata.
+ * Only updates the character object and metadata - the character card itself still needs to be saved by the caller.
+ * @param {number} swipeIndex - Swipe index of the greeting (1+ = alternate, main greeting cannot be deleted)
+ * @param {object} [options]
+ * @param {string} [options.chid] - Character ID
+ * @returns {Promise<boolean>} Whether the greeting was deleted
+ */
+export async function deleteAlternateGreeting(swipeIndex, { chid = null } = {}) {
+    const character = characters[chid ?? this_chid];
+    const altGreetings = character?.data?.alternate_greetings;
+    const altIndex = swipeIndex - 1;
+    if (!Array.isArray(altGreetings) || altIndex < 0 || altIndex >= altGreetings.length) return false;
+
+    altGreetings.splice(altIndex, 1);
+
+    const metadata = getGreetingToolsData({ chid });
+    const greetingId = metadata.indexMap[altIndex];
+    removeAlternateGreetingMetadata(metadata, altIndex);
+    await saveGreetingToolsData(metadata, { chid });
+    if (greetingId) await deleteGreetingHistory(greetingId, { chid });
+    await emitGreetingEvent(greeting_event_types.GREETING_DELETED, { greetingId, swipeIndex, chid: chid ?? this_chid });
+
+    return true;
+}
+
+/**
+ * Saves the main and alternate greetings of a character card directly, without the character editor.
+ * Used for characters other than the one currently being edited, e.g. when greetings are copied to them,
+ * or for group members edited from a group chat.
+ * @param {string} chid - Character ID
+ * @returns {Promise<boolean>} Whether the card was saved
+ */
+export async function saveGreetingsToCard(chid) {
+    const character = characters[chid];
+    if (!character) return false;
+
+    const response = await fetch('/api/characters/merge-attributes', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            avatar: character.avatar,
+            first_mes: character.first_mes ?? '',
+            data: {
+                first_mes: character.first_mes ?? '',
+                alternate_greetings: character.data?.alternate_greetings ?? [],
+            },
+        }),
+    });
+
+    if (!response.ok) {
+        console.error('[GreetingTools] Failed to save greetings of character', character.name, response.statusText);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Gets the key the usage statistics of a greeting are stored under.
+ * Greetings without metadata are counted by their content, so counting never has to create metadata on the card.
+ * @param {GreetingToolsData} metadata - The greeting tools data of the character
+ * @param {number} swipeIndex - Swipe index of the greeting (0 = main, 1+ = alternate)
+ * @param {string} content - Content of the greeting on the character card
+ * @returns {string} The greeting ID, or a key derived from the content
+ */
+export function getGreetingUsageKey(metadata, swipeIndex, content) {
+    const contentHash = getStringHash(content);
+    const meta = swipeIndex === 0 ? metadata.mainGreeting : findGreetingMetadata(metadata, swipeIndex - 1, contentHash);
+    return meta?.id || `content_${contentHash}`;
+}
+
+/**
+ * Gets the usage statistics of a greeting, including those counted by content before the greeting had metadata.
+ * @param {GreetingToolsData} metadata - The greeting tools data of the character
+ * @param {string | undefined} greetingId - ID of the greeting, if it has metadata
+ * @param {string} content - Content of the greeting
+ * @returns {GreetingUsage | undefined}
+ */
+export function findGreetingUsage(metadata, greetingId, content) {
+    return (greetingId ? metadata.usage?.[greetingId] : undefined) ?? metadata.usage?.[`content_${getStringHash(content)}`];
+}
+
+/**
+ * Changes a usage counter of one or more greetings, saving the card once.
+ * Only continuing a chat counts as using the greeting, so `lastUsed` is only updated for the 'count' counter.
+ * @param {'count' | 'started'} counter - The counter to change
+ * @param {{ [usageKey: string]: number }} changes - How much to change the counter by, by key of the greeting
+ *   (see {@link getGreetingUsageKey}), negative to take a count back
+ * @param {object} [options]
+ * @param {string} [options.chid] - Character ID
+ */
+export async function updateGreetingUsage(counter, changes, { chid = null } = {}) {
+    const metadata = getGreetingToolsData({ chid });
+    metadata.usage = { ...metadata.usage };
+
+    for (const [usageKey, change] of Object.entries(changes)) {
+        if (change === 0) continue;
+        const usage = metadata.usage[usageKey];
+        metadata.usage[usageKey] = {
+            ...usage,
+            count: usage?.count ?? 0,
+            [counter]: Math.max(0, (usage?.[counter] ?? 0) + change),
+            lastUsed: counter === 'count' && change > 0 ? Date.now() : (usage?.lastUsed ?? 0),
+        };
+    }
+
+    await saveGreetingToolsData(metadata, { chid });
+}
+
+/**
+ * Formats the usage statistics of a greeting for display.
+ * @param {GreetingUsage | undefined} usage - The usage statistics
+ * @returns {string} Formatted usage text, or empty string if the greeting was never used
+ */
+export function formatGreetingUsage(usage) {
+    if (!usage?.count && !usage?.started) return '';
+    if (!usage.lastUsed) return t`Started ${usage.started ?? 0}×, continued ${usage.count}×`;
+    const lastUsed = new Date(usage.lastUsed).toLocaleDateString();
+    return t`Started ${usage.started ?? 0}×, continued ${usage.count}×, last on ${lastUsed}`;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Revision History
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Maximum number of revisions kept per greeting, older ones are dropped */
+export const MAX_GREETING_REVISIONS = 20;
+
+/** @type {LocalForage | null} Browser storage of the revision history, keyed by character avatar */
+let historyStore = null;
+
+/**
+ * Gets the browser storage of the revision history.
+ * @returns {LocalForage}
+ */
+function getHistoryStore() {
+    if (!historyStore) {
+        historyStore = localforage.createInstance({ name: 'SillyTavern_GreetingTools', storeName: 'revision_history' });
+    }
+    return historyStore;
+}
+
+/**
+ * Loads the revision history of a character's greetings.
+ * History that older versions of the extension kept in the character card is moved to the browser storage.
+ * @param {{ chid?: string }} [options]
+ * @returns {Promise<GreetingHistory>}
+ */
+export async function loadGreetingHistory({ chid = null } = {}) {
+    const id = chid ?? this_chid;
+    const character = characters[id];
+    if (!character?.avatar) return {};
+
+    /** @type {GreetingHistory} */
+    const history = (await getHistoryStore().getItem(character.avatar)) ?? {};
+
+    const cardData = character.data?.extensions?.[EXTENSION_KEY];
+    if (cardData?.history) {
+        for (const [greetingId, revisions] of Object.entries(cardData.history)) {
+            if (!history[greetingId]) history[greetingId] = revisions;
+        }
+        await getHistoryStore().setItem(character.avatar, history);
+        // The card is saved by merging, so the field has to be cleared instead of left out
+        await saveGreetingToolsData({ ...cardData, history: null }, { chid: id });
+        console.log(`[GreetingTools] Moved revision history of ${character.name} from the character card to the browser storage`);
+    }
+
+    return history;
+}
+
+/**
+ * Saves the revision history of a character's greetings.
+ * @param {GreetingHistory} history - The revision history
+ * @param {{ chid?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export async function saveGreetingHistory(history, { chid = null } = {}) {
+    const avatar = characters[chid ?? this_chid]?.avatar;
+    if (!avatar) return;
+
+    if (Object.keys(history).length === 0) {
+        await getHistoryStore().removeItem(avatar);
+    } else {
+        await getHistoryStore().setItem(avatar, history);
+    }
+}
+
+/**
+ * Records a change of a greeting made outside the popup (e.g. by slash commands) in its revision history.
+ * The version before the change is recorded first, unless it already is the latest revision.
+ * @param {string} greetingId - Greeting ID
+ * @param {{ content: string, title: string, description: string }} previous - The greeting before the change
+ * @param {{ content: string, title: string, description: string }} current - The greeting after the change
+ * @param {GreetingRevisionSource} source - How the change was made
+ * @param {{ chid?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export async function recordGreetingRevision(greetingId, previous, current, source, { chid = null } = {}) {
+    const history = await loadGreetingHistory({ chid });
+    const revisions = appendGreetingRevision(history[greetingId] ?? [], previous, 'manual');
+    history[greetingId] = appendGreetingRevision(revisions, current, source);
+    await saveGreetingHistory(history, { chid });
+}
+
+/**
+ * Removes the revision history of a deleted greeting.
+ * @param {string} greetingId - Greeting ID
+ * @param {{ chid?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export async function deleteGreetingHistory(greetingId, { chid = null } = {}) {
+    const history = await loadGreetingHistory({ chid });
+    if (!history[greetingId]) return;
+
+    delete history[greetingId];
+    await saveGreetingHistory(history, { chid });
+}
+
+/**
+ * Removes the revision history of all characters from the browser storage.
+ * @returns {Promise<void>}
+ */
+export async function clearGreetingHistory() {
+    await getHistoryStore().clear();
+}
+
+/**
+ * Appends a version of a greeting to its revisions, unless it equals the latest revision.
+ * Drops the oldest revisions beyond {@link MAX_GREETING_REVISIONS}.
+ * @param {GreetingRevision[]} revisions - Existing revisions, oldest first
+ * @param {{ content: string, title: string, description: string }} version - The greeting version to record
+ * @param {GreetingRevisionSource} source - How this version was created
+ * @param {number} [timestamp] - When this version was created (defaults to now)
+ * @returns {GreetingRevision[]} The new list of revisions
+ */
+export function appendGreetingRevision(revisions, version, source, timestamp = Date.now()) {
+    const latest = revisions[revisions.length - 1];
+    if (latest && latest.content === version.content && latest.title === version.title && latest.description === version.description) {
+        return revisions;
+    }
+
+    const revision = {
+        content: version.content,
+        title: version.title ?? '',
+        description: version.description ?? '',
+        timestamp,
+        source,
+    };
+    return [...revisions, revision].slice(-MAX_GREETING_REVISIONS);
+}
+
+/**
+ * Gets the display label of a revision source.
+ * @param {GreetingRevisionSource} source - The revision source
+ * @returns {string}
+ */
+export function formatRevisionSource(source) {
+    switch (source) {
+        case 'generated': return t`Generated`;
+        case 'rewritten': return t`Rewritten`;
+        default: return t`Edited`;
+    }
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Temp Greeting CRUD (chat metadata)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -172,16 +707,102 @@ export async function addTempGreeting(swipeIndex, data) {
     const tempGreetings = getTempGreetings();
     tempGreetings.set(swipeIndex, { ...data, swipeIndex });
     await saveTempGreetings(tempGreetings);
+    await emitGreetingEvent(greeting_event_types.TEMP_GREETING_ADDED, { greetingId: data.id, swipeIndex, chid: this_chid });
 }
 
 /**
  * Removes a temp greeting from chat metadata.
  * @param {number} swipeIndex - Swipe index to remove
+ * @param {object} [options]
+ * @param {boolean} [options.saved=false] - Whether the greeting was saved to the character, rather than discarded
  */
-export async function removeTempGreeting(swipeIndex) {
+export async function removeTempGreeting(swipeIndex, { saved = false } = {}) {
     const tempGreetings = getTempGreetings();
+    const greetingId = tempGreetings.get(swipeIndex)?.id;
     tempGreetings.delete(swipeIndex);
     await saveTempGreetings(tempGreetings);
+
+    const eventType = saved ? greeting_event_types.TEMP_GREETING_SAVED : greeting_event_types.TEMP_GREETING_DISCARDED;
+    await emitGreetingEvent(eventType, { greetingId, swipeIndex, chid: this_chid });
+}
+
+/**
+ * Moves the temp greetings directly behind the alternate greetings, keeping their order.
+ * Temp greetings are stored by swipe index, so this is needed whenever alternate greetings were added or removed.
+ * @param {number} firstSwipeIndex - Swipe index of the first temp greeting (1 + number of alternate greetings)
+ * @param {object} [options] - Options
+ * @param {boolean} [options.saveChat=true] - Whether to save the chat
+ * @returns {Promise<Map<number, number>>} New swipe index by previous swipe index of each temp greeting
+ */
+export async function reindexTempGreetings(firstSwipeIndex, { saveChat = true } = {}) {
+    const tempGreetings = getTempGreetings();
+    const previousIndices = [...tempGreetings.keys()].sort((a, b) => a - b);
+
+    /** @type {Map<number, number>} */
+    const newIndices = new Map(previousIndices.map((previous, i) => [previous, firstSwipeIndex + i]));
+    if (previousIndices.every(previous => newIndices.get(previous) === previous)) return newIndices;
+
+    /** @type {Map<number, TempGreetingData>} */
+    const reindexed = new Map();
+    for (const previous of previousIndices) {
+        const swipeIndex = newIndices.get(previous);
+        reindexed.set(swipeIndex, { ...tempGreetings.get(previous), swipeIndex });
+    }
+    await saveTempGreetings(reindexed, { saveChat });
+    return newIndices;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Start Greeting Snapshot (chat metadata)
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Gets the snapshot of the greeting the current chat started with.
+ * @returns {StartGreetingSnapshot | null} The snapshot, or null if the chat did not continue past the greeting yet
+ */
+export function getStartGreeting() {
+    return chat_metadata[EXTENSION_NAME]?.startGreeting ?? null;
+}
+
+/**
+ * Stores the snapshot of the greeting the current chat started with in the chat metadata.
+ * The chat metadata still needs to be saved by the caller.
+ * @param {StartGreetingSnapshot} snapshot - The snapshot
+ */
+export function setStartGreeting(snapshot) {
+    if (!chat_metadata[EXTENSION_NAME]) {
+        chat_metadata[EXTENSION_NAME] = {};
+    }
+    chat_metadata[EXTENSION_NAME].startGreeting = snapshot;
+}
+
+/**
+ * Gets the snapshot of the greeting a member started the current group chat with.
+ * @param {string} avatar - Avatar of the group member
+ * @returns {StartGreetingSnapshot | null} The snapshot, or null if the chat did not continue past the greetings yet
+ */
+export function getGroupStartGreeting(avatar) {
+    return chat_metadata[EXTENSION_NAME]?.groupStartGreetings?.[avatar] ?? null;
+}
+
+/**
+ * Checks whether the greetings the members started the current group chat with were recorded.
+ * @returns {boolean}
+ */
+export function hasGroupStartGreetings() {
+    return Boolean(chat_metadata[EXTENSION_NAME]?.groupStartGreetings);
+}
+
+/**
+ * Stores the snapshots of the greetings the members started the current group chat with in the chat metadata.
+ * The chat metadata still needs to be saved by the caller.
+ * @param {{ [avatar: string]: StartGreetingSnapshot }} snapshots - Snapshots keyed by member avatar
+ */
+export function setGroupStartGreetings(snapshots) {
+    if (!chat_metadata[EXTENSION_NAME]) {
+        chat_metadata[EXTENSION_NAME] = {};
+    }
+    chat_metadata[EXTENSION_NAME].groupStartGreetings = snapshots;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -93,14 +93,108 @@ The user has requested the following specific theme or scenario for this greetin
 Make sure to incorporate this into the greeting while staying true to the character.
 
 {{/if}}
+## Length
+The greeting should be {{greetingLength}} long. Stay within this range.
+
 ## Output Format
 Write ONLY the greeting message itself. Do not include titles, labels, explanations, or meta-commentary.
 Just write the actual greeting text that {{char}} would say/do to start a conversation or scene with {{user}}.`, 'DEFAULT_GENERATE_GREETING_SYSTEM_PROMPT');
 
 /** Default prompt sent to LLM when generating a greeting WITH a custom theme */
-export const DEFAULT_GENERATION_PROMPT_WITH_THEME = translate(`Generate a greeting for {{char}} with this theme:
+export const DEFAULT_GENERATION_PROMPT_WITH_THEME = translate(`Generate a greeting for {{char}} ({{greetingLength}}) with this theme:
 {{customPrompt}}`, 'DEFAULT_GENERATION_PROMPT_WITH_THEME');
 
 /** Default prompt sent to LLM when generating a greeting WITHOUT a custom theme */
-export const DEFAULT_GENERATION_PROMPT_WITHOUT_THEME = translate('Generate a new greeting for {{char}} that differs from existing greetings.',
+export const DEFAULT_GENERATION_PROMPT_WITHOUT_THEME = translate('Generate a new greeting for {{char}} ({{greetingLength}}) that differs from existing greetings.',
     'DEFAULT_GENERATION_PROMPT_WITHOUT_THEME');
+
+/** System prompt template for rewriting an existing greeting with a user instruction */
+export const DEFAULT_REWRITE_GREETING_SYSTEM_PROMPT = translate(`You are rewriting an existing opening greeting message for a roleplay character named '{{char}}'.
+
+## Your Task
+Rewrite the greeting message you are given, following the rewrite instruction below. While rewriting:
+- Keep the scenario, events and details of the original greeting, unless the instruction asks to change them
+- Keep the character's personality and speaking style
+- Keep roughly the same length, unless the instruction asks otherwise
+
+{{#if charDescription}}
+## Character Description
+{{charDescription}}
+
+{{/if}}
+{{#if charPersonality}}
+## Character Personality
+{{charPersonality}}
+
+{{/if}}
+## Rewrite Instruction
+{{rewriteInstruction}}
+
+## Output Format
+Write ONLY the rewritten greeting message itself. Do not include titles, labels, explanations, or meta-commentary.`, 'DEFAULT_REWRITE_GREETING_SYSTEM_PROMPT');
+
+/**
+ * @typedef {Object} PreviousDefaultPrompts
+ * @property {string} version - Last extension version that shipped these defaults
+ * @property {{ [settingKey: string]: string }} prompts - The default prompts of that version that changed afterwards, by their settings key
+ */
+
+/**
+ * Default prompts of older extension versions, oldest first.
+ * Used to detect prompts that were never customized, so they can be updated to the new defaults.
+ * When changing a default prompt, add its previous text here under the current version.
+ * @readonly @type {PreviousDefaultPrompts[]}
+ */
+export const PREVIOUS_DEFAULT_PROMPTS = [
+    {
+        version: '1.0.1',
+        prompts: {
+            generateGreetingSystemPrompt: `You are writing a new opening greeting message for a roleplay character named '{{char}}'.
+
+## Your Task
+Write a compelling, immersive **first message** that establishes an interesting scenario or situation. This message should:
+- Be written from {{char}}'s perspective (first person or third person narrative as appropriate)
+- Set up an engaging scene, situation, or encounter
+- Reflect the character's personality and speaking style
+- Be detailed enough to give {{user}} something to respond to
+- Include scene-setting, actions, dialogue, or inner thoughts as appropriate
+
+{{#if charDescription}}
+## Character Description
+{{charDescription}}
+
+{{/if}}
+{{#if charPersonality}}
+## Character Personality
+{{charPersonality}}
+
+{{/if}}
+{{#if scenario}}
+## Base Scenario
+{{scenario}}
+
+{{/if}}
+{{#if existingTitles}}
+## Existing Greeting Themes (try to create something different)
+The following greetings already exist. Try to create a unique scenario that differs from these:
+{{existingTitles}}
+
+{{/if}}
+{{#if customPrompt}}
+## Special Instructions
+The user has requested the following specific theme or scenario for this greeting:
+
+{{customPrompt}}
+
+Make sure to incorporate this into the greeting while staying true to the character.
+
+{{/if}}
+## Output Format
+Write ONLY the greeting message itself. Do not include titles, labels, explanations, or meta-commentary.
+Just write the actual greeting text that {{char}} would say/do to start a conversation or scene with {{user}}.`,
+            generationPromptWithTheme: `Generate a greeting for {{char}} with this theme:
+{{customPrompt}}`,
+            generationPromptWithoutTheme: 'Generate a new greeting for {{char}} that differs from existing greetings.',
+        },
+    },
+];
@@ -0,0 +1,105 @@
+/**
+ * Simple text diff utilities (LCS based).
+ * Used to show changes between two versions of a text, e.g. prompt updates or rewritten greetings.
+ */
+
+import { escapeHtml } from '../../../../utils.js';
+
+/**
+ * @typedef {Object} DiffPart
+ * @property {'equal' | 'added' | 'removed'} type - Whether this part is unchanged, only in the new text, or only in the old text
+ * @property {string} value - The text of this part
+ */
+
+/**
+ * Splits text into diff tokens.
+ * @param {string} text - The text to split
+ * @param {'line' | 'word'} by - Split into lines (keeping line breaks) or words (keeping whitespace)
+ * @returns {string[]}
+ */
+function tokenize(text, by) {
+    if (!text) return [];
+    return by === 'line'
+        ? text.split(/(?<=\n)/)
+        : text.split(/(\s+)/).filter(token => token !== '');
+}
+
+/**
+ * Computes the diff between two token lists, using the longest common subsequence.
+ * @param {string[]} oldTokens - Tokens of the old text
+ * @param {string[]} newTokens - Tokens of the new text
+ * @returns {DiffPart[]} Diff parts, with adjacent parts of the same type merged
+ */
+export function diffTokens(oldTokens, newTokens) {
+    const n = oldTokens.length;
+    const m = newTokens.length;
+
+    // LCS lengths of the suffixes, flattened into a single array
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    const at = (/** @type {number} */ i, /** @type {number} */ j) => i * (m + 1) + j;
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[at(i, j)] = oldTokens[i] === newTokens[j]
+                ? lcs[at(i + 1, j + 1)] + 1
+                : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+        }
+    }
+
+    /** @type {DiffPart[]} */
+    const parts = [];
+    const push = (/** @type {DiffPart['type']} */ type, /** @type {string} */ value) => {
+        const last = parts[parts.length - 1];
+        if (last?.type === type) {
+            last.value += value;
+        } else {
+            parts.push({ type, value });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldTokens[i] === newTokens[j]) {
+            push('equal', oldTokens[i]);
+            i++;
+            j++;
+        } else if (lcs[at(i + 1, j)] >= lcs[at(i, j + 1)]) {
+            push('removed', oldTokens[i++]);
+        } else {
+            push('added', newTokens[j++]);
+        }
+    }
+    while (i < n) push('removed', oldTokens[i++]);
+    while (j < m) push('added', newTokens[j++]);
+
+    return parts;
+}
+
+/**
+ * Computes the diff between two texts.
+ * @param {string} oldText - The old text
+ * @param {string} newText - The new text
+ * @param {object} [options]
+ * @param {'line' | 'word'} [options.by='line'] - Diff granularity
+ * @returns {DiffPart[]}
+ */
+export function diffText(oldText, newText, { by = 'line' } = {}) {
+    return diffTokens(tokenize(oldText, by), tokenize(newText, by));
+}
+
+/**
+ * Renders diff parts as HTML, with removed parts struck through and added parts highlighted.
+ * @param {DiffPart[]} parts - The diff parts
+ * @returns {string} HTML string
+ */
+export function renderDiffHtml(parts) {
+    const html = parts.map(part => {
+        const value = escapeHtml(part.value);
+        switch (part.type) {
+            case 'added': return `<ins class="greeting-tools-diff-added">${value}</ins>`;
+            case 'removed': return `<del class="greeting-tools-diff-removed">${value}</del>`;
+            default: return `<span>${value}</span>`;
+        }
+    }).join('');
+    return `<div class="greeting-tools-diff">${html}</div>`;
+}
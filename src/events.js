@@ -0,0 +1,84 @@
+/**
+ * Greeting lifecycle events of Greeting Tools extension.
+ * Broadcast through ST's eventSource, so other extensions and scripts can react to greeting changes:
+ *
+ *     eventSource.on('greeting_tools_greeting_switched', ({ greetingId, swipeIndex, chid }) => { ... });
+ */
+
+import { eventSource } from '../../../../../script.js';
+
+/**
+ * Names of the events emitted by Greeting Tools. Every event receives a {@link GreetingEventData}.
+ */
+export const greeting_event_types = Object.freeze({
+    /** The first message of a chat switched to another greeting */
+    GREETING_SWITCHED: 'greeting_tools_greeting_switched',
+    /** An alternate greeting was added to a character */
+    GREETING_CREATED: 'greeting_tools_greeting_created',
+    /** An alternate greeting was removed from a character */
+    GREETING_DELETED: 'greeting_tools_greeting_deleted',
+    /** A greeting moved to another position, including becoming the main greeting */
+    GREETING_REORDERED: 'greeting_tools_greeting_reordered',
+    /** The content, title, description, tags or other metadata of a greeting changed */
+    GREETING_METADATA_UPDATED: 'greeting_tools_greeting_metadata_updated',
+    /** A temporary greeting was added to the current chat */
+    TEMP_GREETING_ADDED: 'greeting_tools_temp_greeting_added',
+    /** A temporary greeting was saved to the character and removed from the chat */
+    TEMP_GREETING_SAVED: 'greeting_tools_temp_greeting_saved',
+    /** A temporary greeting was deleted from the chat */
+    TEMP_GREETING_DISCARDED: 'greeting_tools_temp_greeting_discarded',
+});
+
+/**
+ * @typedef {Object} GreetingEventData
+ * @property {string} greetingId - ID of the greeting (empty if the greeting has no metadata yet)
+ * @property {number} swipeIndex - Swipe index of the greeting (0 = main, 1+ = alternate or temporary), before deletion for deleted greetings
+ * @property {string} chid - ID of the character the greeting belongs to
+ * @property {number} [previousSwipeIndex] - Swipe index before the greeting moved, for reordered greetings
+ */
+
+/**
+ * Position and metadata of a saved greeting, used to detect changes between two saves.
+ * @typedef {Object} GreetingSnapshotEntry
+ * @property {number} swipeIndex - Swipe index of the greeting
+ * @property {string} signature - Serialized content and metadata of the greeting
+ */
+
+/**
+ * Emits a greeting lifecycle event.
+ * @param {string} eventType - One of {@link greeting_event_types}
+ * @param {GreetingEventData} data - The event data
+ * @returns {Promise<void>}
+ */
+export async function emitGreetingEvent(eventType, data) {
+    await eventSource.emit(eventType, { ...data, greetingId: data.greetingId ?? '', chid: String(data.chid) });
+}
+
+/**
+ * Emits the events for all differences between two snapshots of a character's saved greetings.
+ * @param {Map<string, GreetingSnapshotEntry>} before - Greetings by ID before the save
+ * @param {Map<string, GreetingSnapshotEntry>} after - Greetings by ID after the save
+ * @param {string} chid - Character ID
+ * @returns {Promise<void>}
+ */
+export async function emitGreetingChanges(before, after, chid) {
+    for (const [greetingId, entry] of before) {
+        if (!after.has(greetingId)) {
+            await emitGreetingEvent(greeting_event_types.GREETING_DELETED, { greetingId, swipeIndex: entry.swipeIndex, chid });
+        }
+    }
+
+    for (const [greetingId, entry] of after) {
+        const previous = before.get(greetingId);
+        if (!previous) {
+            await emitGreetingEvent(greeting_event_types.GREETING_CREATED, { greetingId, swipeIndex: entry.swipeIndex, chid });
+            continue;
+        }
+        if (previous.swipeIndex !== entry.swipeIndex) {
+            await emitGreetingEvent(greeting_event_types.GREETING_REORDERED, { greetingId, swipeIndex: entry.swipeIndex, previousSwipeIndex: previous.swipeIndex, chid });
+        }
+        if (previous.signature !== entry.signature) {
+            await emitGreetingEvent(greeting_event_types.GREETING_METADATA_UPDATED, { greetingId, swipeIndex: entry.swipeIndex, chid });
+        }
+    }
+}
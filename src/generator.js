@@ -3,23 +3,117 @@
  * Used by both the Greeting Tools popup and the inline greeting selector.
  */
 
-import { characters, generateRaw, substituteParams, name1, name2, this_chid } from '../../../../../script.js';
-import { Popup, POPUP_TYPE } from '../../../../popup.js';
+import { amount_gen, characters, generateRaw, substituteParams, name1, name2, this_chid, main_api, stopGeneration, extractMessageFromData } from '../../../../../script.js';
+import { Popup, POPUP_TYPE, POPUP_RESULT } from '../../../../popup.js';
 import { t } from '../../../../i18n.js';
 import { escapeRegex } from '../../../../utils.js';
-import { greetingToolsSettings } from './settings.js';
+import { oai_settings, getChatCompletionModel, sendOpenAIRequest } from '../../../../openai.js';
+import { textgenerationwebui_settings as textgen_settings, getTextGenGenerationData } from '../../../../textgen-settings.js';
+import { ChatCompletionService, TextCompletionService } from '../../../../custom-request.js';
+import { GREETING_LENGTH_PRESETS, getGreetingLengthRange, greetingToolsSettings } from './settings.js';
 import { getGreetingToolsData, generateGreetingId } from './data.js';
 import { loader } from '/scripts/action-loader.js';
+import { showCancellableLoader } from './cancellable-loader.js';
 
 /** Default placeholder text for the generate greeting popup */
 const GENERATE_GREETING_PLACEHOLDER = t`Describe what kind of greeting scenario you want to generate. Leave empty for a general new greeting based on the character.`;
 
+/** Maximum number of greeting variants that can be generated at once */
+export const MAX_GREETING_VARIANTS = 5;
+
+/** @typedef {import('./settings.js').GreetingLengthPreset} GreetingLengthPreset */
+/** @typedef {import('./settings.js').WordRange} WordRange */
+
 /**
  * @typedef {Object} GeneratePopupResult
  * @property {string} prompt - The custom prompt text (empty for default)
  * @property {boolean} generateTitleDesc - Whether to generate title and description
+ * @property {WordRange} [length] - Requested greeting length (defaults to the length from settings)
+ * @property {number} [variants=1] - Number of variants to generate and pick from
  */
 
+/** @typedef {'alternate' | 'temp'} GreetingTarget Where a generated greeting should be stored */
+
+/**
+ * Gets the display labels for the greeting length presets.
+ * @returns {{ [preset in GreetingLengthPreset]: string }}
+ */
+function getGreetingLengthLabels() {
+    const { short, medium, long } = GREETING_LENGTH_PRESETS;
+    return {
+        short: t`Short (${short.min}-${short.max} words)`,
+        medium: t`Medium (${medium.min}-${medium.max} words)`,
+        long: t`Long (${long.min}-${long.max} words)`,
+        custom: t`Custom word range`,
+    };
+}
+
+/**
+ * Formats a word range for the {{greetingLength}} macro.
+ * @param {WordRange} range - The word range
+ * @returns {string} The formatted range, e.g. "150-300 words"
+ */
+export function formatGreetingLength(range) {
+    return `${range.min}-${range.max} words`;
+}
+
+/**
+ * Builds the greeting length controls for the generate popup.
+ * @returns {{ element: HTMLElement, getRange: () => WordRange }} The controls and a getter for the selected range
+ */
+function buildGreetingLengthControls() {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('flex-container', 'alignItemsCenter', 'gap5px', 'greeting-tools-length-controls');
+
+    const label = document.createElement('label');
+    label.textContent = t`Length:`;
+    wrapper.appendChild(label);
+
+    const select = document.createElement('select');
+    select.classList.add('text_pole', 'flex1');
+    for (const [value, text] of Object.entries(getGreetingLengthLabels())) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    }
+    select.value = greetingToolsSettings.greetingLength;
+    wrapper.appendChild(select);
+
+    const customRange = getGreetingLengthRange('custom');
+    const createNumberInput = (/** @type {number} */ value, /** @type {string} */ title) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.step = '10';
+        input.value = String(value);
+        input.title = title;
+        input.classList.add('text_pole', 'greeting-tools-length-input');
+        return input;
+    };
+    const minInput = createNumberInput(customRange.min, t`Minimum words`);
+    const maxInput = createNumberInput(customRange.max, t`Maximum words`);
+
+    const customWrapper = document.createElement('div');
+    customWrapper.classList.add('flex-container', 'alignItemsCenter', 'gap5px');
+    customWrapper.append(minInput, '–', maxInput);
+    wrapper.appendChild(customWrapper);
+
+    const updateCustomVisibility = () => {
+        customWrapper.style.display = select.value === 'custom' ? '' : 'none';
+    };
+    select.addEventListener('change', updateCustomVisibility);
+    updateCustomVisibility();
+
+    return {
+        element: wrapper,
+        getRange: () => getGreetingLengthRange(/** @type {GreetingLengthPreset} */ (select.value), {
+            min: Number(minInput.value),
+            max: Number(maxInput.value),
+        }),
+    };
+}
+
 /**
  * Shows a popup for the user to enter a custom prompt for greeting generation.
  * @param {object} [options] - Popup options
@@ -35,6 +129,23 @@ export async function showGenerateGreetingPopup({ title: popupTitle } = {}) {
     header.textContent = popupTitle || t`Generate Greeting`;
     container.appendChild(header);
 
+    const lengthControls = buildGreetingLengthControls();
+    container.appendChild(lengthControls.element);
+
+    const variantsWrapper = document.createElement('div');
+    variantsWrapper.classList.add('flex-container', 'alignItemsCenter', 'gap5px', 'greeting-tools-variants-controls');
+    variantsWrapper.title = t`Generate several greetings at once and pick the ones to keep`;
+    const variantsLabel = document.createElement('label');
+    variantsLabel.textContent = t`Variants:`;
+    const variantsInput = document.createElement('input');
+    variantsInput.type = 'number';
+    variantsInput.min = '1';
+    variantsInput.max = String(MAX_GREETING_VARIANTS);
+    variantsInput.value = '1';
+    variantsInput.classList.add('text_pole', 'greeting-tools-variants-input');
+    variantsWrapper.append(variantsLabel, variantsInput);
+    container.appendChild(variantsWrapper);
+
     const description = document.createElement('p');
     description.textContent = t`Scenario or prompt for the new greeting:`;
     container.appendChild(description);
@@ -63,18 +174,22 @@ export async function showGenerateGreetingPopup({ title: popupTitle } = {}) {
     return {
         prompt: result.trim(),
         generateTitleDesc: generateTitleDesc === true,
+        length: lengthControls.getRange(),
+        variants: Number(variantsInput.value) || 1,
     };
 }
 
 /**
  * Checks whether the given text contains the character or user name as whole words (case-sensitive).
  * @param {string} text - The text to check
+ * @param {object} [options]
+ * @param {string} [options.charName] - Character name to look for (defaults to the current character)
  * @returns {boolean} True if the text contains either name
  */
-export function textContainsNames(text) {
+export function textContainsNames(text, { charName = null } = {}) {
     if (!text) return false;
 
-    const charName = characters[this_chid]?.name || name2 || '';
+    charName = charName || characters[this_chid]?.name || name2 || '';
     const userName = name1 || '';
 
     if (charName && new RegExp(`\\b${escapeRegex(charName)}\\b`).test(text)) return true;
@@ -86,11 +201,14 @@ export function textContainsNames(text) {
 /**
  * Replaces character and user names with macros in the given text (case-sensitive, whole word).
  * @param {string} text - The text to process
+ * @param {object} [options]
+ * @param {string} [options.charName] - Character name to replace (defaults to the current character)
  * @returns {string} Text with names replaced by macros
  */
-export function replaceNamesWithMacros(text) {
-    const charName = characters[this_chid]?.name || name2 || '';
-    const userName = name1 || '';    if (!charName && !userName) return text;
+export function replaceNamesWithMacros(text, { charName = null } = {}) {
+    charName = charName || characters[this_chid]?.name || name2 || '';
+    const userName = name1 || '';
+    if (!charName && !userName) return text;
 
     let result = text;
 
@@ -127,41 +245,220 @@ export function getAllExistingTitles(chid = this_chid) {
     return titles.length > 0 ? titles.map(t => `- ${t}`).join('\n') : '';
 }
 
+/**
+ * Runs a raw generation that can be cancelled.
+ * Chat Completion requests go through SillyTavern's request with the signal, so aborting it cancels the request itself.
+ * Other APIs have no way to pass a signal to generateRaw, so aborting stops the generation via SillyTavern's stop mechanism.
+ * @param {object} params
+ * @param {string} params.prompt - The user prompt
+ * @param {string} params.systemPrompt - The system prompt
+ * @param {AbortSignal} signal - Signal to cancel the generation
+ * @returns {Promise<string>} The generated text
+ * @throws {DOMException} AbortError if the generation was cancelled
+ */
+async function generateRawCancellable({ prompt, systemPrompt }, signal) {
+    signal.throwIfAborted();
+
+    if (main_api === 'openai') {
+        const data = await sendOpenAIRequest('quiet', [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: prompt },
+        ], signal);
+        signal.throwIfAborted();
+        return extractMessageFromData(data, main_api);
+    }
+
+    const onAbort = () => stopGeneration();
+    signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        const response = await generateRaw({ prompt, systemPrompt, instructOverride: true });
+        signal.throwIfAborted();
+        return response;
+    } finally {
+        signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Checks whether greeting generation can be streamed with the current connection.
+ * Chat Completion and Text Completion APIs stream if streaming is enabled in their settings.
+ * @returns {boolean}
+ */
+function canStreamGeneration() {
+    switch (main_api) {
+        case 'openai': return !!oai_settings.stream_openai;
+        case 'textgenerationwebui': return !!textgen_settings.streaming;
+        default: return false;
+    }
+}
+
+/**
+ * Starts a streamed generation with the settings of the current connection.
+ * The request only contains the greeting prompts - no chat, tools or prefills of the normal chat generation.
+ * @param {object} options
+ * @param {string} options.prompt - The user prompt
+ * @param {string} options.systemPrompt - The system prompt
+ * @param {AbortSignal} options.signal - Signal to end the stream
+ * @returns {Promise<() => AsyncGenerator<{ text: string }>>} Generator of the text generated so far
+ */
+async function startStreamedGeneration({ prompt, systemPrompt, signal }) {
+    if (main_api === 'openai') {
+        return /** @type {any} */ (await ChatCompletionService.processRequest({
+            stream: true,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: prompt },
+            ],
+            chat_completion_source: oai_settings.chat_completion_source,
+            model: getChatCompletionModel(),
+            max_tokens: oai_settings.openai_max_tokens,
+            temperature: oai_settings.temp_openai,
+            custom_url: oai_settings.custom_url,
+            custom_include_body: oai_settings.custom_include_body,
+            custom_exclude_body: oai_settings.custom_exclude_body,
+            custom_include_headers: oai_settings.custom_include_headers,
+            custom_prompt_post_processing: oai_settings.custom_prompt_post_processing,
+            reverse_proxy: oai_settings.reverse_proxy,
+            proxy_password: oai_settings.proxy_password,
+        }, {}, true, signal));
+    }
+
+    // Same parameters as a quiet generation of the connection, with the greeting prompt in place of the chat
+    const finalPrompt = `${systemPrompt}\n\n${prompt}`;
+    const generateData = await getTextGenGenerationData(finalPrompt, amount_gen, false, false, null, 'quiet');
+    return /** @type {any} */ (await TextCompletionService.processRequest({
+        ...generateData,
+        stream: true,
+        prompt: finalPrompt,
+    }, {}, true, signal));
+}
+
+/**
+ * Streams a raw generation into a live preview popup.
+ * The user can stop the generation at any time, keeping the text generated so far, or cancel it to discard the text.
+ * @param {object} options
+ * @param {string} options.prompt - The user prompt
+ * @param {string} options.systemPrompt - The system prompt
+ * @param {string} options.title - Header of the preview popup
+ * @param {AbortController} options.abortController - Aborted when the user cancels; aborting it also ends the stream
+ * @returns {Promise<string>} The generated text (partial if stopped)
+ * @throws {DOMException} AbortError if the generation was cancelled
+ */
+async function streamGenerationWithPreview({ prompt, systemPrompt, title, abortController }) {
+    const container = document.createElement('div');
+    container.classList.add('flex-container', 'flexFlowColumn', 'gap5');
+
+    const header = document.createElement('h3');
+    header.textContent = title;
+    const preview = document.createElement('div');
+    preview.classList.add('greeting-tools-stream-preview');
+    container.append(header, preview);
+
+    // Stopping ends the stream, but keeps the text - cancelling also aborts the caller's controller
+    const streamController = new AbortController();
+    const onCancel = () => streamController.abort();
+    abortController.signal.addEventListener('abort', onCancel, { once: true });
+
+    const popup = new Popup(container, POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        okButton: t`Stop`,
+        cancelButton: t`Cancel`,
+        allowVerticalScrolling: true,
+    });
+
+    let isPopupOpen = true;
+    const popupClosed = popup.show().then(result => {
+        isPopupOpen = false;
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            abortController.abort();
+        }
+        streamController.abort();
+    });
+
+    let text = '';
+    try {
+        const streamData = await startStreamedGeneration({ prompt, systemPrompt, signal: streamController.signal });
+
+        for await (const chunk of streamData()) {
+            text = chunk.text;
+            preview.textContent = text;
+            preview.scrollTop = preview.scrollHeight;
+        }
+    } catch (error) {
+        if (!streamController.signal.aborted) throw error;
+        console.log('[GreetingTools] Greeting generation stopped by user, keeping the partial text');
+    } finally {
+        abortController.signal.removeEventListener('abort', onCancel);
+        if (isPopupOpen) await popup.completeAffirmative();
+        await popupClosed;
+    }
+
+    abortController.signal.throwIfAborted();
+    return text;
+}
+
 /**
  * Generates greeting content using LLM.
  * @param {string} customPrompt - Optional custom prompt from user
  * @param {object} [options] - Generation options
  * @param {string} [options.loaderMessage] - Custom loader message
  * @param {string} [options.existingTitles] - Pre-computed existing titles (if not provided, fetched from metadata)
- * @returns {Promise<string | null>} Generated greeting content or null on failure
+ * @param {WordRange} [options.length] - Requested greeting length (defaults to the length from settings)
+ * @param {AbortController} [options.abortController] - Controller to cancel the generation; aborted by the loader's cancel control
+ * @param {string} [options.chid] - Character ID to generate for (defaults to the current character)
+ * @returns {Promise<string | null>} Generated greeting content or null on failure/cancel
  */
-export async function generateGreetingContent(customPrompt, { loaderMessage, existingTitles: providedTitles } = {}) {
+export async function generateGreetingContent(customPrompt, { loaderMessage, existingTitles: providedTitles, length, abortController = new AbortController(), chid = this_chid } = {}) {
     // Build dynamic macros
-    const existingTitles = providedTitles ?? getAllExistingTitles();
+    const existingTitles = providedTitles ?? getAllExistingTitles(chid);
+    const character = characters[chid];
+    const charName = character?.name;
     const dynamicMacros = {
+        charDescription: character?.description || '',
+        charPersonality: character?.personality || '',
+        scenario: character?.scenario || '',
         existingTitles,
         customPrompt: customPrompt || '',
+        greetingLength: formatGreetingLength(length ?? greetingToolsSettings.greetingLengthRange),
     };
 
     // Substitute macros in system prompt (uses customizable prompt from settings)
-    const systemPrompt = substituteParams(greetingToolsSettings.generateGreetingSystemPrompt, undefined, undefined, dynamicMacros);
+    const systemPrompt = substituteParams(greetingToolsSettings.generateGreetingSystemPrompt, undefined, charName, dynamicMacros);
 
     // Use configurable prompts from settings
     const promptTemplate = customPrompt
         ? greetingToolsSettings.generationPromptWithTheme
         : greetingToolsSettings.generationPromptWithoutTheme;
-    const prompt = substituteParams(promptTemplate, undefined, undefined, dynamicMacros);
+    const prompt = substituteParams(promptTemplate, undefined, charName, dynamicMacros);
 
-    const greetingLoader = loader.show({
+    return await runGreetingGeneration({
+        prompt,
+        systemPrompt,
         message: loaderMessage || t`Generating new greeting...`,
+        abortController,
+        charName,
     });
+}
+
+/**
+ * Runs a greeting generation and cleans up the response.
+ * Streams into a live preview if possible, otherwise waits behind the loader for the full reply.
+ * @param {object} options
+ * @param {string} options.prompt - The user prompt
+ * @param {string} options.systemPrompt - The system prompt
+ * @param {string} options.message - Loader message, or header of the live preview
+ * @param {AbortController} options.abortController - Controller to cancel the generation
+ * @param {string} [options.charName] - Name of the character the greeting is for, replaced with its macro
+ * @returns {Promise<string | null>} Generated greeting content or null on failure/cancel
+ */
+async function runGreetingGeneration({ prompt, systemPrompt, message, abortController, charName }) {
+    const stream = canStreamGeneration();
+    const greetingLoader = stream ? null : showCancellableLoader(message, abortController);
 
     try {
-        const response = await generateRaw({
-            prompt,
-            systemPrompt,
-            instructOverride: true,
-        });
+        const response = stream
+            ? await streamGenerationWithPreview({ prompt, systemPrompt, title: message, abortController })
+            : await generateRawCancellable({ prompt, systemPrompt }, abortController.signal);
 
         console.info('[GreetingTools] Generated greeting content', { text: response });
 
@@ -180,17 +477,81 @@ export async function generateGreetingContent(customPrompt, { loaderMessage, exi
 
         // Replace character/user names with macros if setting is enabled
         if (greetingToolsSettings.replaceNamesWithMacros) {
-            content = replaceNamesWithMacros(content);
+            content = replaceNamesWithMacros(content, { charName });
         }
 
         return content;
     } catch (error) {
+        // Don't show error toast for intentional user aborts
+        if (abortController.signal.aborted) {
+            console.log('[GreetingTools] Greeting generation was cancelled by user');
+            return null;
+        }
         console.error('[GreetingTools] Failed to generate greeting:', error);
         toastr.error(t`Failed to generate greeting`);
         return null;
     } finally {
-        await greetingLoader.hide();
+        await greetingLoader?.hide();
+    }
+}
+
+/**
+ * Shows a popup for the user to enter an instruction for rewriting a greeting.
+ * @returns {Promise<string | null>} The instruction or null if cancelled
+ */
+export async function showRewriteGreetingPopup() {
+    const result = await Popup.show.input(
+        t`Rewrite Greeting`,
+        t`How should the greeting be rewritten?`,
+        '',
+        {
+            rows: 4,
+            placeholder: t`e.g. "Rewrite it in second person" or "Make it less purple"`,
+            okButton: t`Rewrite`,
+            cancelButton: t`Cancel`,
+        },
+    );
+    if (typeof result !== 'string') return null;
+
+    const instruction = result.trim();
+    if (!instruction) {
+        toastr.warning(t`Please enter an instruction for the rewrite`);
+        return null;
+    }
+    return instruction;
+}
+
+/**
+ * Rewrites greeting content using LLM, following the given instruction.
+ * @param {string} greetingContent - The greeting content to rewrite
+ * @param {string} instruction - How the greeting should be rewritten
+ * @param {object} [options] - Generation options
+ * @param {AbortController} [options.abortController] - Controller to cancel the generation; aborted by the loader's cancel control
+ * @param {string} [options.chid] - Character ID the greeting belongs to (defaults to the current character)
+ * @returns {Promise<string | null>} Rewritten greeting content or null on failure/cancel
+ */
+export async function rewriteGreetingContent(greetingContent, instruction, { abortController = new AbortController(), chid = this_chid } = {}) {
+    if (!greetingContent || greetingContent.trim().length === 0) {
+        toastr.warning(t`Cannot rewrite without greeting content`);
+        return null;
     }
+
+    const character = characters[chid];
+    const dynamicMacros = {
+        charDescription: character?.description || '',
+        charPersonality: character?.personality || '',
+        rewriteInstruction: instruction,
+    };
+
+    const systemPrompt = substituteParams(greetingToolsSettings.rewriteGreetingSystemPrompt, undefined, character?.name, dynamicMacros);
+
+    return await runGreetingGeneration({
+        prompt: greetingContent,
+        systemPrompt,
+        message: t`Rewriting greeting...`,
+        abortController,
+        charName: character?.name,
+    });
 }
 
 /**
@@ -198,19 +559,21 @@ export async function generateGreetingContent(customPrompt, { loaderMessage, exi
  * @param {string} greetingContent - The greeting content to generate title/desc for
  * @param {object} [options] - Generation options
  * @param {string} [options.existingTitles] - Already formatted existing titles string
- * @param {boolean} [options.showLoader=true] - Whether to show the blocking loader
- * @returns {Promise<{ title: string, description: string } | null>} Generated title/desc or null on failure
+ * @param {boolean} [options.showLoader=true] - Whether to show the blocking loader (with a cancel control)
+ * @param {AbortController} [options.abortController] - Controller to cancel the generation
+ * @param {string} [options.chid] - Character ID the greeting belongs to (defaults to the current character)
+ * @returns {Promise<{ title: string, description: string } | null>} Generated title/desc or null on failure/cancel
  */
-export async function generateTitleAndDescription(greetingContent, { existingTitles, showLoader = true } = {}) {
+export async function generateTitleAndDescription(greetingContent, { existingTitles, showLoader = true, abortController = new AbortController(), chid = this_chid } = {}) {
     if (!greetingContent || greetingContent.trim().length === 0) {
         toastr.warning(t`Cannot generate without greeting content`);
         return null;
     }
 
-    const character = characters[this_chid];
+    const character = characters[chid];
     if (!character) return null;
 
-    const titles = existingTitles ?? getAllExistingTitles();
+    const titles = existingTitles ?? getAllExistingTitles(chid);
 
     const dynamicMacros = {
         charDescription: character.description || '',
@@ -219,19 +582,15 @@ export async function generateTitleAndDescription(greetingContent, { existingTit
         existingTitles: titles,
     };
 
-    const systemPrompt = substituteParams(greetingToolsSettings.generateSystemPrompt, undefined, undefined, dynamicMacros);
+    const systemPrompt = substituteParams(greetingToolsSettings.generateSystemPrompt, undefined, character.name, dynamicMacros);
     const prompt = greetingContent;
 
     const genLoader = showLoader
-        ? loader.show({ message: t`Generating title and description...` })
+        ? showCancellableLoader(t`Generating title and description...`, abortController)
         : null;
 
     try {
-        const response = await generateRaw({
-            prompt,
-            systemPrompt,
-            instructOverride: true,
-        });
+        const response = await generateRawCancellable({ prompt, systemPrompt }, abortController.signal);
 
         // Log full response for debugging
         console.info('[GreetingTools] LLM response for title/description', { text: response });
@@ -269,7 +628,7 @@ export async function generateTitleAndDescription(greetingContent, { existingTit
         return { title, description };
     } catch (error) {
         // Don't show error toast for intentional user aborts
-        const isAborted = error?.name === 'AbortError' || error?.message?.includes('Cancelled');
+        const isAborted = abortController.signal.aborted || error?.name === 'AbortError' || error?.message?.includes('Cancelled');
         if (isAborted) {
             console.log('[GreetingTools] Title/description generation was cancelled by user');
         } else {
@@ -288,17 +647,113 @@ export async function generateTitleAndDescription(greetingContent, { existingTit
  * @property {string} content - Generated greeting content
  * @property {string} title - Generated or default title
  * @property {string} description - Generated or empty description
+ * @property {GreetingTarget} target - Where the greeting should be stored
+ */
+
+/**
+ * Shows the generated variants side by side and lets the user pick the ones to keep.
+ * Variants can be edited before keeping them.
+ * @param {string[]} contents - The generated greeting contents
+ * @param {object} options
+ * @param {GreetingTarget} options.defaultTarget - Preselected target for each variant
+ * @param {boolean} options.allowTemp - Whether variants can be kept as temporary greetings
+ * @returns {Promise<{ content: string, target: GreetingTarget }[]>} The kept variants, empty if all were discarded
  */
+async function showVariantPickerPopup(contents, { defaultTarget, allowTemp }) {
+    const container = document.createElement('div');
+    container.classList.add('flex-container', 'flexFlowColumn', 'gap5');
+
+    const header = document.createElement('h3');
+    header.textContent = t`Pick Greeting Variants`;
+    const description = document.createElement('p');
+    description.textContent = t`Select the variants you want to keep. You can edit them before keeping.`;
+    container.append(header, description);
+
+    const grid = document.createElement('div');
+    grid.classList.add('greeting-tools-variants');
+    container.appendChild(grid);
+
+    const targetLabels = {
+        alternate: t`Alternate greeting`,
+        temp: t`Temporary greeting`,
+    };
+
+    const variants = contents.map((content, index) => {
+        const card = document.createElement('div');
+        card.classList.add('greeting-tools-variant', 'flex-container', 'flexFlowColumn', 'gap5px');
+
+        const keepLabel = document.createElement('label');
+        keepLabel.classList.add('checkbox_label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = index === 0;
+        const keepText = document.createElement('b');
+        keepText.textContent = t`Variant ${index + 1}`;
+        keepLabel.append(checkbox, keepText);
+        card.appendChild(keepLabel);
+
+        const textarea = document.createElement('textarea');
+        textarea.classList.add('text_pole', 'greeting-tools-variant-text');
+        textarea.value = content;
+        card.appendChild(textarea);
+
+        /** @type {HTMLSelectElement | null} */
+        let select = null;
+        if (allowTemp) {
+            select = document.createElement('select');
+            select.classList.add('text_pole');
+            for (const [value, text] of Object.entries(targetLabels)) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            }
+            select.value = defaultTarget;
+            card.appendChild(select);
+        }
+
+        card.classList.toggle('greeting-tools-variant-selected', checkbox.checked);
+        checkbox.addEventListener('change', () => card.classList.toggle('greeting-tools-variant-selected', checkbox.checked));
+
+        grid.appendChild(card);
+        return { checkbox, textarea, select };
+    });
+
+    const popup = new Popup(container, POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+        okButton: t`Keep selected`,
+        cancelButton: t`Discard all`,
+    });
+
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return [];
+
+    return variants
+        .filter(variant => variant.checkbox.checked && variant.textarea.value.trim())
+        .map(variant => ({
+            content: variant.textarea.value.trim(),
+            target: /** @type {GreetingTarget} */ (variant.select?.value ?? defaultTarget),
+        }));
+}
 
 /**
  * Unified greeting generation flow - shows popup, generates content, optionally generates title/desc.
+ * When multiple variants are requested, they are generated one after another (most backends only handle
+ * one request at a time) and shown side by side, so the user can keep any subset of them.
+ * Cancelling any of the generation steps cancels the whole flow, and nothing is returned.
  * @param {object} [options] - Generation options
  * @param {string} [options.popupTitle] - Custom popup title
- * @param {string} [options.defaultTitle] - Default title if not generating title/desc
+ * @param {string} [options.defaultTitle] - Default title for temporary greetings if not generating title/desc
  * @param {string} [options.loaderMessage] - Custom loader message for content generation
  * @param {string} [options.existingTitles] - Pre-computed existing titles for context
- * @param {(content: string) => void} [options.onContentGenerated] - Callback after content is generated (before title/desc)
- * @returns {Promise<GeneratedGreeting | null>} Generated greeting data or null if cancelled/failed
+ * @param {(content: string) => void} [options.onContentGenerated] - Callback for each kept content (before title/desc)
+ * @param {GeneratePopupResult} [options.popupResult] - Predefined generation options; skips the popup if provided
+ * @param {GreetingTarget} [options.defaultTarget='alternate'] - Where generated greetings are stored by default
+ * @param {boolean} [options.allowTemp=false] - Whether the user can choose to keep variants as temporary greetings
+ * @param {string} [options.chid] - Character ID to generate for (defaults to the current character)
+ * @returns {Promise<GeneratedGreeting[]>} Generated greetings, empty if cancelled/failed
  */
 export async function generateGreetingFlow({
     popupTitle,
@@ -306,12 +761,50 @@ export async function generateGreetingFlow({
     loaderMessage,
     existingTitles,
     onContentGenerated,
+    popupResult = null,
+    defaultTarget = 'alternate',
+    allowTemp = false,
+    chid = this_chid,
 } = {}) {
-    // Show popup
-    const popupResult = await showGenerateGreetingPopup({ title: popupTitle });
-    if (popupResult === null) return null;
+    // Show popup (unless options were passed in, e.g. from slash commands)
+    popupResult = popupResult ?? await showGenerateGreetingPopup({ title: popupTitle });
+    if (popupResult === null) return [];
 
-    const { prompt: customPrompt, generateTitleDesc } = popupResult;
+    const { prompt: customPrompt, generateTitleDesc, length } = popupResult;
+    const variantCount = Math.min(Math.max(Math.round(popupResult.variants ?? 1), 1), MAX_GREETING_VARIANTS);
+
+    const abortController = new AbortController();
+    const onCancelled = () => {
+        toastr.info(t`Greeting generation cancelled`);
+        return [];
+    };
+
+    /** @type {string[]} */
+    const contents = [];
+
+    // Show wrapping loader while generating the content
+    const contentLoader = loader.show({ toastMode: loader.ToastMode.NONE });
+    try {
+        for (let i = 0; i < variantCount && !abortController.signal.aborted; i++) {
+            const content = await generateGreetingContent(customPrompt, {
+                loaderMessage: variantCount > 1 ? t`Generating variant ${i + 1} of ${variantCount}...` : loaderMessage,
+                existingTitles,
+                length,
+                abortController,
+                chid,
+            });
+            if (content) contents.push(content);
+        }
+    } finally {
+        await contentLoader.hide();
+    }
+    if (abortController.signal.aborted) return onCancelled();
+    if (contents.length === 0) return [];
+
+    const picked = variantCount > 1
+        ? await showVariantPickerPopup(contents, { defaultTarget, allowTemp })
+        : [{ content: contents[0], target: defaultTarget }];
+    if (picked.length === 0) return [];
 
     /** @type {Set<JQuery<HTMLElement>>} */
     const tempToasts = new Set();
@@ -320,43 +813,50 @@ export async function generateGreetingFlow({
     const wrappingLoader = loader.show({ toastMode: loader.ToastMode.NONE });
 
     try {
-        // Generate content
-        const content = await generateGreetingContent(customPrompt, {
-            loaderMessage,
-            existingTitles,
-        });
-        if (!content) return null;
-
-        // Notify caller that content is ready (useful for UI updates)
-        onContentGenerated?.(content);
-
-        // Initialize result
-        let title = defaultTitle;
-        let description = '';
-
         if (generateTitleDesc) {
             // Show persistent success toast
-            const successToast = toastr.success(t`Greeting content generated`, '', {
+            const successToast = toastr.success(picked.length > 1 ? t`${picked.length} greetings generated` : t`Greeting content generated`, '', {
                 timeOut: 0,
                 extendedTimeOut: 0,
                 tapToDismiss: false,
             });
             tempToasts.add(successToast);
+        }
 
-            // Generate title/description
-            const generated = await generateTitleAndDescription(content, { existingTitles });
-            if (generated) {
-                title = generated.title;
-                description = generated.description;
+        // Keep titles of the kept variants distinct from each other as well
+        let titles = existingTitles ?? getAllExistingTitles(chid);
+
+        /** @type {GeneratedGreeting[]} */
+        const results = [];
+        for (const { content, target } of picked) {
+            // Notify caller that content is ready (useful for UI updates)
+            onContentGenerated?.(content);
+
+            // Initialize result
+            let title = target === 'temp' ? defaultTitle : '';
+            let description = '';
+
+            if (generateTitleDesc) {
+                // Generate title/description
+                const generated = await generateTitleAndDescription(content, { existingTitles: titles, abortController, chid });
+                if (abortController.signal.aborted) return onCancelled();
+                if (generated) {
+                    title = generated.title;
+                    description = generated.description;
+                    titles = [titles, `- ${generated.title}`].filter(Boolean).join('\n');
+                }
             }
+
+            results.push({
+                id: generateGreetingId(),
+                content,
+                title,
+                description,
+                target,
+            });
         }
 
-        return {
-            id: generateGreetingId(),
-            content,
-            title,
-            description,
-        };
+        return results;
     } finally {
         // Clear temp toasts
         for (const toast of tempToasts) {
@@ -0,0 +1,147 @@
+/**
+ * Per-greeting scenario and author's note overrides for Greeting Tools extension.
+ * A greeting can bring its own scenario and author's note. They are written to the chat metadata when the greeting
+ * is selected, and removed again when switching to another greeting while the chat is still changeable.
+ */
+
+import { chat, chat_metadata, eventSource, event_types, this_chid } from '../../../../../script.js';
+import { metadata_keys } from '../../../../authors-note.js';
+import { saveMetadataDebounced } from '../../../../extensions.js';
+import { selected_group } from '../../../../group-chats.js';
+import { EXTENSION_NAME } from '../index.js';
+import { findGreetingMetadataBySwipeIndex, getGreetingToolsData, getTempGreetings } from './data.js';
+import { isGreetingChangeable } from './selector.js';
+
+/**
+ * Chat metadata fields that greetings can override, by the greeting metadata field they come from.
+ * @type {{ [field in 'scenario' | 'authorsNote']: string }}
+ */
+const OVERRIDE_KEYS = {
+    scenario: 'scenario',
+    authorsNote: metadata_keys.prompt,
+};
+
+/**
+ * An override written to the chat metadata, with the value it replaced.
+ * @typedef {Object} AppliedOverride
+ * @property {string} value - The value of the greeting
+ * @property {string | undefined} previous - The value before, restored when the override is removed
+ */
+
+/**
+ * @typedef {Object} AppliedGreetingOverrides
+ * @property {string} greetingId - ID of the greeting the overrides belong to
+ * @property {{ [field: string]: AppliedOverride }} fields - Applied overrides by greeting metadata field
+ */
+
+/**
+ * Gets the overrides currently applied to the chat.
+ * @returns {AppliedGreetingOverrides | null}
+ */
+function getAppliedOverrides() {
+    return chat_metadata[EXTENSION_NAME]?.appliedOverrides ?? null;
+}
+
+/**
+ * Checks whether the overrides of a greeting are already applied to the chat, with the values the greeting has now.
+ * @param {AppliedGreetingOverrides} applied - The applied overrides
+ * @param {import('./data.js').GreetingMetadata | null} meta - Metadata of the greeting
+ * @returns {boolean}
+ */
+function isAppliedUpToDate(applied, meta) {
+    if (applied.greetingId !== meta?.id) return false;
+    return Object.keys(OVERRIDE_KEYS).every(field => (applied.fields[field]?.value ?? '') === (meta[field] || ''));
+}
+
+/**
+ * Removes the applied overrides from the chat metadata, restoring the values they replaced.
+ * Values that were changed since (e.g. the author's note was edited by hand) are kept.
+ * @param {AppliedGreetingOverrides} applied - The applied overrides
+ */
+function removeOverrides(applied) {
+    for (const [field, override] of Object.entries(applied.fields)) {
+        const key = OVERRIDE_KEYS[field];
+        if (chat_metadata[key] !== override.value) continue;
+
+        if (override.previous === undefined) {
+            delete chat_metadata[key];
+        } else {
+            chat_metadata[key] = override.previous;
+        }
+    }
+    delete chat_metadata[EXTENSION_NAME].appliedOverrides;
+}
+
+/**
+ * Updates the author's note editor, as it does not notice changes of the chat metadata.
+ */
+function updateAuthorsNoteUI() {
+    $('#extension_floating_prompt').val(chat_metadata[metadata_keys.prompt] ?? '').trigger('input');
+}
+
+/**
+ * Applies the scenario and author's note of a greeting to the current chat, replacing those of the previous greeting.
+ * Temp greetings have no overrides, so switching to one only removes the previous overrides.
+ * @param {number} swipeIndex - Swipe index of the selected greeting (0 = main, 1+ = alternate)
+ */
+export function applyGreetingOverrides(swipeIndex) {
+    if (this_chid === undefined || selected_group) return;
+
+    const meta = getTempGreetings().has(swipeIndex)
+        ? null
+        : findGreetingMetadataBySwipeIndex(getGreetingToolsData({ chid: this_chid }), this_chid, swipeIndex);
+
+    const applied = getAppliedOverrides();
+    if (applied && isAppliedUpToDate(applied, meta)) return;
+
+    const hasOverrides = Object.keys(OVERRIDE_KEYS).some(field => meta?.[field]);
+    if (!applied && !hasOverrides) return;
+
+    if (applied) {
+        removeOverrides(applied);
+    }
+
+    if (hasOverrides) {
+        /** @type {AppliedGreetingOverrides} */
+        const overrides = { greetingId: meta.id, fields: {} };
+        for (const [field, key] of Object.entries(OVERRIDE_KEYS)) {
+            const value = meta[field];
+            if (!value) continue;
+            overrides.fields[field] = { value, previous: chat_metadata[key] };
+            chat_metadata[key] = value;
+        }
+
+        if (!chat_metadata[EXTENSION_NAME]) {
+            chat_metadata[EXTENSION_NAME] = {};
+        }
+        chat_metadata[EXTENSION_NAME].appliedOverrides = overrides;
+    }
+
+    updateAuthorsNoteUI();
+    saveMetadataDebounced();
+}
+
+/**
+ * Handles newly created chats - applies the overrides of the greeting they start with.
+ */
+function onChatCreated() {
+    applyGreetingOverrides(0);
+}
+
+/**
+ * Handles swipes - swiping the greeting of a new chat applies the overrides of the greeting swiped to.
+ * @param {number} messageId
+ */
+function onMessageSwiped(messageId) {
+    if (messageId === 0 && chat[0] && isGreetingChangeable()) {
+        applyGreetingOverrides(chat[0].swipe_id ?? 0);
+    }
+}
+
+/**
+ * Initializes per-greeting overrides for new chats and greeting swipes.
+ */
+export function initGreetingOverrides() {
+    eventSource.on(event_types.CHAT_CREATED, onChatCreated);
+    eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped);
+}
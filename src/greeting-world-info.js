@@ -0,0 +1,145 @@
+/**
+ * Per-greeting World Info for Greeting Tools extension.
+ * Greetings can link World Info entries and keywords. While a chat runs with such a greeting, the linked entries are
+ * activated and the keywords are added to the World Info scan on every generation.
+ */
+
+import { characters, chat, eventSource, event_types, extension_prompt_types, setExtensionPrompt, this_chid } from '../../../../../script.js';
+import { selected_group } from '../../../../group-chats.js';
+import { getCharaFilename } from '../../../../utils.js';
+import { loadWorldInfo, selected_world_info, world_info } from '../../../../world-info.js';
+import { EXTENSION_KEY } from '../index.js';
+import { findGreetingMetadataById, findGreetingMetadataBySwipeIndex, getGreetingToolsData, getStartGreeting, getTempGreetings } from './data.js';
+
+/** @typedef {import('./data.js').GreetingWorldInfo} GreetingWorldInfo */
+
+/**
+ * Gets the key of the extension prompt that adds the keywords of the active greeting to the World Info scan.
+ * @returns {string}
+ */
+function getKeywordsPromptKey() {
+    return `${EXTENSION_KEY}_world_info`;
+}
+
+/**
+ * @typedef {Object} WorldInfoBookOptions
+ * @property {string} world - Name of the World Info book
+ * @property {{ uid: number, label: string }[]} entries - Entries of the book
+ */
+
+/**
+ * Normalizes the World Info links of a greeting, dropping empty keywords and invalid entries.
+ * @param {any} worldInfo - The World Info links
+ * @returns {GreetingWorldInfo | undefined} The links, or undefined if there are none
+ */
+export function normalizeGreetingWorldInfo(worldInfo) {
+    const keywords = [...new Set((Array.isArray(worldInfo?.keywords) ? worldInfo.keywords : [])
+        .map(keyword => String(keyword).trim())
+        .filter(Boolean))];
+    const entries = (Array.isArray(worldInfo?.entries) ? worldInfo.entries : [])
+        .filter(entry => typeof entry?.world === 'string' && Number.isInteger(entry?.uid))
+        .map(entry => ({ world: entry.world, uid: entry.uid }));
+
+    if (keywords.length === 0 && entries.length === 0) return undefined;
+    return { keywords, entries };
+}
+
+/**
+ * Gets the World Info links of the greeting the current chat runs with.
+ * Once the chat continued, this is the greeting it started with, otherwise the currently shown greeting.
+ * @returns {GreetingWorldInfo | undefined} The links, or undefined if the greeting has none
+ */
+export function getActiveGreetingWorldInfo() {
+    if (this_chid === undefined || selected_group) return undefined;
+    if (!chat?.length || chat[0].is_user) return undefined;
+
+    const metadata = getGreetingToolsData({ chid: this_chid });
+    const startGreeting = getStartGreeting();
+    if (startGreeting) {
+        if (startGreeting.isTemp) return undefined;
+        return normalizeGreetingWorldInfo(findGreetingMetadataById(metadata, startGreeting.id)?.worldInfo);
+    }
+
+    // Temp greetings are not part of the character card, so they have no links
+    const swipeIndex = chat[0].swipe_id ?? 0;
+    if (getTempGreetings().has(swipeIndex)) return undefined;
+
+    return normalizeGreetingWorldInfo(findGreetingMetadataBySwipeIndex(metadata, this_chid, swipeIndex)?.worldInfo);
+}
+
+/**
+ * Loads linked World Info entries from their books.
+ * Entries that no longer exist or are disabled are skipped.
+ * @param {{ world: string, uid: number }[]} links - The linked entries
+ * @returns {Promise<object[]>} The entries, with the name of their book
+ */
+async function loadLinkedEntries(links) {
+    const entries = [];
+    for (const world of new Set(links.map(link => link.world))) {
+        const data = await loadWorldInfo(world);
+        if (!data?.entries) continue;
+
+        for (const link of links.filter(link => link.world === world)) {
+            const entry = data.entries[link.uid];
+            if (entry && !entry.disable) {
+                entries.push({ ...entry, world });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Gets the entries of the World Info books that can be linked to greetings of a character:
+ * the character's books and the globally active books.
+ * @param {string} chid - Character ID
+ * @returns {Promise<WorldInfoBookOptions[]>}
+ */
+export async function getLinkableWorldInfoEntries(chid) {
+    const character = characters[chid];
+    const fileName = getCharaFilename(Number(chid));
+    const extraBooks = world_info.charLore?.find(lore => lore.name === fileName)?.extraBooks ?? [];
+    const worlds = [...new Set([character?.data?.extensions?.world, ...extraBooks, ...selected_world_info].filter(Boolean))];
+
+    /** @type {WorldInfoBookOptions[]} */
+    const books = [];
+    for (const world of worlds) {
+        const data = await loadWorldInfo(world);
+        if (!data?.entries) continue;
+
+        const entries = Object.values(data.entries)
+            .sort((a, b) => (a.displayIndex ?? a.uid) - (b.displayIndex ?? b.uid))
+            .map(entry => ({
+                uid: entry.uid,
+                label: entry.comment || (Array.isArray(entry.key) ? entry.key.join(', ') : '') || `#${entry.uid}`,
+            }));
+        books.push({ world, entries });
+    }
+    return books;
+}
+
+/**
+ * Activates the World Info of the active greeting for the upcoming generation.
+ * The keywords are always updated, so they don't stick around after switching chats or greetings.
+ */
+async function onGenerationAfterCommands() {
+    const worldInfo = getActiveGreetingWorldInfo();
+    setExtensionPrompt(getKeywordsPromptKey(), worldInfo?.keywords.join('\n') ?? '', extension_prompt_types.NONE, 0, true);
+
+    if (!worldInfo?.entries.length) return;
+    try {
+        const entries = await loadLinkedEntries(worldInfo.entries);
+        if (entries.length > 0) {
+            await eventSource.emit(event_types.WORLDINFO_FORCE_ACTIVATE, entries);
+        }
+    } catch (error) {
+        console.error('[GreetingTools] Failed to activate linked World Info entries:', error);
+    }
+}
+
+/**
+ * Initializes per-greeting World Info activation.
+ */
+export function initGreetingWorldInfo() {
+    eventSource.on(event_types.GENERATION_AFTER_COMMANDS, onGenerationAfterCommands);
+}
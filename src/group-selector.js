@@ -0,0 +1,333 @@
+/**
+ * Greeting selector for group chats.
+ * In group chats, each member greets with its own message at the start of the chat. Every such greeting message
+ * gets its own selector, which picks from that member's greetings, including the card's group-only greetings.
+ */
+
+import { characters, chat, name1, saveChatConditional, substituteParams, updateMessageBlock } from '../../../../../script.js';
+import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { groups, selected_group } from '../../../../group-chats.js';
+import { t } from '../../../../i18n.js';
+import { getStringHash } from '../../../../utils.js';
+import { EXTENSION_NAME } from '../index.js';
+import { getGreetingToolsData, getGroupStartGreeting } from './data.js';
+import { emitGreetingEvent, greeting_event_types } from './events.js';
+import { openGreetingToolsPopup } from './popup.js';
+import { pickRandomGreeting } from './random-greeting.js';
+import { createGreetingMatcher, createOptionElement, getGreetingOptions } from './selector.js';
+
+/** @typedef {import('./selector.js').GreetingOption} GreetingOption */
+
+/**
+ * @typedef {Object} GroupGreetingMessage
+ * @property {number} messageId - Index of the greeting message in the chat
+ * @property {string} chid - Character ID of the member who authored the greeting
+ * @property {GreetingOption[]} options - Greetings of the member, including group-only greetings
+ * @property {GreetingOption | null} current - The greeting the message currently shows, or null if it was edited
+ */
+
+/** @type {HTMLElement | null} */
+let groupSelectorTemplate = null;
+
+/**
+ * Finds the character ID of the group member that authored a message.
+ * @param {object} message - The chat message
+ * @param {string[]} members - Avatars of the group members
+ * @returns {string | null} The character ID, or null if the author is not a member of the group
+ */
+function findMessageAuthor(message, members) {
+    const chid = Object.keys(characters).find(id => {
+        const character = characters[id];
+        if (!members.includes(character?.avatar)) return false;
+        return message.original_avatar
+            ? character.avatar === message.original_avatar
+            : character.name === message.name;
+    });
+    return chid ?? null;
+}
+
+/**
+ * Gets the text a greeting shows as message of a group member, with the macros ST replaces when creating the chat.
+ * @param {GreetingOption} option - The greeting
+ * @param {string} chid - Character ID of the member
+ * @returns {string}
+ */
+function getGreetingMessageText(option, chid) {
+    return substituteParams(option.content.trim(), name1, characters[chid].name);
+}
+
+/**
+ * Gets the greeting messages at the start of the current group chat, one per member before the first user message.
+ * @returns {GroupGreetingMessage[]}
+ */
+export function getGroupGreetingMessages() {
+    const group = groups.find(g => g.id === selected_group);
+    if (!group || !chat) return [];
+
+    /** @type {GroupGreetingMessage[]} */
+    const greetingMessages = [];
+    for (let messageId = 0; messageId < chat.length; messageId++) {
+        const message = chat[messageId];
+        if (message.is_user || message.is_system) break;
+
+        const chid = findMessageAuthor(message, group.members ?? []);
+        if (chid === null || greetingMessages.some(greeting => greeting.chid === chid)) break;
+
+        const options = getGreetingOptions({ chid, includeGroupOnly: true });
+        const current = options.find(option => getGreetingMessageText(option, chid) === message.mes) ?? null;
+        greetingMessages.push({ messageId, chid, options, current });
+    }
+    return greetingMessages;
+}
+
+/**
+ * Checks whether the greetings of the group chat can be changed (only while the chat contains nothing but the greetings).
+ * @param {GroupGreetingMessage[]} greetingMessages - The greeting messages of the chat
+ * @returns {boolean}
+ */
+function isGroupGreetingChangeable(greetingMessages) {
+    return greetingMessages.length > 0 && greetingMessages.length === chat.length;
+}
+
+/**
+ * Switches a member's greeting message to another greeting of that member.
+ * If the message has swipes, the greeting is shown as one of them (added as a new swipe if needed),
+ * so none of the existing swipes is overwritten. Otherwise only the message text is replaced.
+ * @param {GroupGreetingMessage} greetingMessage - The greeting message
+ * @param {GreetingOption} option - The greeting to switch to
+ */
+async function switchGroupGreeting(greetingMessage, option) {
+    const message = chat[greetingMessage.messageId];
+    if (!message) return;
+
+    const text = getGreetingMessageText(option, greetingMessage.chid);
+    if (Array.isArray(message.swipes)) {
+        let swipeId = message.swipes.indexOf(text);
+        if (swipeId === -1) {
+            message.swipes.push(text);
+            if (Array.isArray(message.swipe_info)) {
+                message.swipe_info.push({});
+            }
+            swipeId = message.swipes.length - 1;
+        }
+        message.swipe_id = swipeId;
+    }
+    message.mes = text;
+
+    updateMessageBlock(greetingMessage.messageId, message);
+    await saveChatConditional();
+    refreshGroupGreetingSelectors();
+
+    await emitGreetingEvent(greeting_event_types.GREETING_SWITCHED, { greetingId: option.id, swipeIndex: option.swipeIndex, chid: greetingMessage.chid });
+}
+
+/**
+ * Updates a group greeting selector with the current state of its greeting message.
+ * @param {HTMLElement} selector - The selector
+ * @param {GroupGreetingMessage} greetingMessage - The greeting message of the selector
+ * @param {boolean} isChangeable - Whether the greetings can be changed
+ */
+function updateGroupSelectorUI(selector, greetingMessage, isChangeable) {
+    const { current, options } = greetingMessage;
+    const character = characters[greetingMessage.chid];
+    let title = current?.title;
+    let description = current?.description;
+
+    // Once the chat continued, show the greeting the member started with, even if the card was changed since
+    const startGreeting = isChangeable ? null : getGroupStartGreeting(character.avatar);
+    let startGreetingChanged = false;
+    if (startGreeting) {
+        const startOption = options.find(option => option.id === startGreeting.id);
+        startGreetingChanged = !startOption || getStringHash(startOption.content) !== startGreeting.contentHash;
+        title = startGreeting.title || startOption?.title;
+        description = startOption?.description;
+    }
+
+    const titleEl = selector.querySelector('.greeting-selector-title-display');
+    if (titleEl) {
+        titleEl.textContent = `${character.name}: ${title || t`Edited greeting`}`;
+    }
+
+    // Flag when the greeting the member started with was changed on the card since
+    const changedEl = selector.querySelector('.greeting-selector-changed');
+    if (changedEl) {
+        changedEl.classList.toggle('displayNone', !startGreetingChanged);
+    }
+
+    const descEl = selector.querySelector('.greeting-selector-description');
+    if (descEl) {
+        descEl.textContent = description || '';
+    }
+
+    selector.classList.toggle('greeting-selector-readonly', !isChangeable);
+
+    const swipeInfoEl = selector.querySelector('.greeting-selector-swipe-info');
+    if (swipeInfoEl) {
+        swipeInfoEl.textContent = isChangeable && current ? `${current.swipeIndex + 1} / ${options.length}` : '';
+    }
+
+    const dropdown = selector.querySelector('.greeting-selector-dropdown');
+    if (!(dropdown instanceof HTMLSelectElement)) return;
+
+    const $dropdown = $(dropdown);
+    if (!isChangeable) {
+        if ($dropdown.data('select2')) $dropdown.select2('close');
+        selector.classList.remove('greeting-selector-selecting');
+        return;
+    }
+
+    dropdown.innerHTML = '';
+    for (const option of options) {
+        const optionEl = document.createElement('option');
+        optionEl.value = String(option.swipeIndex);
+        optionEl.textContent = option.title;
+        optionEl.selected = option.swipeIndex === current?.swipeIndex;
+        dropdown.appendChild(optionEl);
+    }
+
+    if ($dropdown.data('select2')) {
+        $dropdown.trigger('change.select2');
+        return;
+    }
+
+    $dropdown.select2({
+        width: '100%',
+        dropdownAutoWidth: true,
+        matcher: createGreetingMatcher(() => getGreetingMessage(selector)?.options ?? []),
+        templateResult: (state) => {
+            if (!state.id) return state.text;
+            const option = getGreetingMessage(selector)?.options.find(o => o.swipeIndex === Number(state.id));
+            return option ? $(createOptionElement(option)) : state.text;
+        },
+        templateSelection: (state) => state.text,
+    });
+
+    // @ts-ignore
+    $dropdown.on('select2:select', async (e) => {
+        selector.classList.remove('greeting-selector-selecting');
+        const latest = getGreetingMessage(selector);
+        const option = latest?.options.find(o => o.swipeIndex === Number(e.params.data.id));
+        if (latest && option && option !== latest.current) {
+            await switchGroupGreeting(latest, option);
+        }
+    });
+    $dropdown.on('select2:close', () => selector.classList.remove('greeting-selector-selecting'));
+}
+
+/**
+ * Gets the current state of the greeting message a group selector belongs to.
+ * @param {HTMLElement} selector - The selector
+ * @returns {GroupGreetingMessage | null}
+ */
+function getGreetingMessage(selector) {
+    const chid = selector.dataset.chid;
+    return getGroupGreetingMessages().find(greeting => greeting.chid === chid) ?? null;
+}
+
+/**
+ * Sets up the buttons of a group greeting selector.
+ * Generating and temporary greetings are not available in group chats, so those buttons stay hidden.
+ * @param {HTMLElement} selector - The selector
+ */
+function setupGroupSelectorEventHandlers(selector) {
+    selector.querySelector('.greeting-selector-select-btn')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const dropdown = selector.querySelector('.greeting-selector-dropdown');
+        if (dropdown && $(dropdown).data('select2')) {
+            selector.classList.add('greeting-selector-selecting');
+            $(dropdown).select2('open');
+        }
+    });
+
+    selector.querySelector('.greeting-selector-random-btn')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const greetingMessage = getGreetingMessage(selector);
+        if (!greetingMessage) return;
+
+        const metadata = getGreetingToolsData({ chid: greetingMessage.chid });
+        const picked = pickRandomGreeting(greetingMessage.options, metadata.random, {
+            excludeSwipeIndex: greetingMessage.current?.swipeIndex ?? -1,
+        });
+        if (picked && picked !== greetingMessage.current) {
+            await switchGroupGreeting(greetingMessage, picked);
+        }
+    });
+
+    selector.querySelector('.greeting-selector-edit-btn')?.addEventListener('click', async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const greetingMessage = getGreetingMessage(selector);
+        if (!greetingMessage) return;
+
+        await openGreetingToolsPopup(greetingMessage.chid, { highlightSwipeIndex: greetingMessage.current?.swipeIndex });
+        refreshGroupGreetingSelectors();
+    });
+}
+
+/**
+ * Injects a greeting selector into each greeting message of the current group chat.
+ */
+export async function injectGroupGreetingSelectors() {
+    const greetingMessages = getGroupGreetingMessages();
+    if (greetingMessages.length === 0) return;
+
+    if (!groupSelectorTemplate) {
+        const html = await renderExtensionTemplateAsync(`third-party/${EXTENSION_NAME}`, 'templates/selector');
+        const container = document.createElement('div');
+        container.innerHTML = html;
+        groupSelectorTemplate = /** @type {HTMLElement} */ (container.firstElementChild);
+        groupSelectorTemplate?.classList.add('greeting-selector-group');
+    }
+    if (!groupSelectorTemplate) {
+        console.error('[GreetingTools] Failed to load greeting selector template');
+        return;
+    }
+
+    const isChangeable = isGroupGreetingChangeable(greetingMessages);
+    for (const greetingMessage of greetingMessages) {
+        const messageEl = document.querySelector(`.mes[mesid="${greetingMessage.messageId}"]`);
+        const mesBlock = messageEl?.querySelector('.mes_block');
+        const chName = mesBlock?.querySelector('.ch_name');
+        if (!messageEl || !mesBlock || !chName) continue;
+
+        let selector = /** @type {HTMLElement | null} */ (messageEl.querySelector('.greeting-selector-group'));
+        if (selector && selector.dataset.chid !== greetingMessage.chid) {
+            selector.remove();
+            selector = null;
+        }
+        if (!selector) {
+            selector = /** @type {HTMLElement} */ (groupSelectorTemplate.cloneNode(true));
+            selector.dataset.chid = greetingMessage.chid;
+            const insertBefore = mesBlock.querySelector('.mes_reasoning_details') ?? mesBlock.querySelector('.mes_text');
+            if (insertBefore) {
+                mesBlock.insertBefore(selector, insertBefore);
+            } else {
+                chName.after(selector);
+            }
+            setupGroupSelectorEventHandlers(selector);
+        }
+
+        updateGroupSelectorUI(selector, greetingMessage, isChangeable);
+    }
+}
+
+/**
+ * Refreshes the greeting selectors of the current group chat, e.g. after a message was sent or a greeting switched.
+ */
+export function refreshGroupGreetingSelectors() {
+    const greetingMessages = getGroupGreetingMessages();
+    const isChangeable = isGroupGreetingChangeable(greetingMessages);
+
+    for (const selector of document.querySelectorAll('.greeting-selector-group')) {
+        if (!(selector instanceof HTMLElement)) continue;
+        const greetingMessage = greetingMessages.find(greeting => greeting.chid === selector.dataset.chid);
+        const messageId = Number(selector.closest('.mes')?.getAttribute('mesid'));
+        if (!greetingMessage || greetingMessage.messageId !== messageId) {
+            selector.remove();
+            continue;
+        }
+        updateGroupSelectorUI(selector, greetingMessage, isChangeable);
+    }
+}
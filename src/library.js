@@ -0,0 +1,244 @@
+/**
+ * Greeting library: a read-only overview of the greetings of all characters.
+ * Used to audit large collections of cards without opening each card's Greeting Tools popup.
+ */
+
+import { characters, selectCharacterById, this_chid } from '../../../../../script.js';
+import { Popup, POPUP_TYPE } from '../../../../popup.js';
+import { t } from '../../../../i18n.js';
+import { debounce, getStringHash } from '../../../../utils.js';
+import { performFuzzySearch } from '../../../../power-user.js';
+import { debounce_timeout } from '../../../../constants.js';
+import { createTagChip, findGreetingMetadata, getGreetingToolsData, hasAllTags, normalizeGreetingTags, parseTagFilter } from './data.js';
+import { textContainsNames } from './generator.js';
+import { openGreetingToolsPopup } from './popup.js';
+
+/** Maximum number of greetings rendered at once, the filters narrow down the rest */
+const MAX_LIBRARY_RESULTS = 200;
+
+/** Maximum length of the content preview of a greeting */
+const PREVIEW_LENGTH = 200;
+
+/**
+ * @typedef {Object} LibraryEntry
+ * @property {string} chid - Character ID
+ * @property {string} characterName - Character name
+ * @property {number} swipeIndex - Swipe index of the greeting (0 = main, 1+ = alternate)
+ * @property {string} title - Greeting title (empty if untitled)
+ * @property {string} description - Greeting description
+ * @property {string[]} tags - Greeting tags
+ * @property {string} content - Greeting text content
+ * @property {boolean} hasNames - Whether the content contains the character or user name instead of macros
+ */
+
+/**
+ * Collects the main and alternate greetings of all characters, with their metadata.
+ * @returns {LibraryEntry[]}
+ */
+function collectLibraryEntries() {
+    /** @type {LibraryEntry[]} */
+    const entries = [];
+
+    for (const chid of Object.keys(characters)) {
+        const character = characters[chid];
+        if (!character?.avatar) continue;
+
+        const metadata = getGreetingToolsData({ chid });
+        const charName = character.name;
+        const addEntry = (/** @type {number} */ swipeIndex, /** @type {string} */ content, /** @type {import('./data.js').GreetingMetadata | null} */ meta) => {
+            entries.push({
+                chid,
+                characterName: charName,
+                swipeIndex,
+                title: meta?.title ?? '',
+                description: meta?.description ?? '',
+                tags: normalizeGreetingTags(meta?.tags),
+                content,
+                hasNames: textContainsNames(content, { charName }),
+            });
+        };
+
+        addEntry(0, character.first_mes ?? character.data?.first_mes ?? '', metadata.mainGreeting);
+        const altGreetings = character.data?.alternate_greetings ?? [];
+        altGreetings.forEach((content, i) => {
+            addEntry(i + 1, content, findGreetingMetadata(metadata, i, getStringHash(content)));
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Filters library entries.
+ * @param {LibraryEntry[]} entries - All entries
+ * @param {object} filters
+ * @param {string} filters.term - Search term, words starting with '#' filter by tag
+ * @param {boolean} filters.untitledOnly - Only greetings without a title
+ * @param {boolean} filters.namesOnly - Only greetings that contain names instead of macros
+ * @returns {LibraryEntry[]} Matching entries, best matches first when searching
+ */
+function filterLibraryEntries(entries, { term, untitledOnly, namesOnly }) {
+    const { tags, text } = parseTagFilter(term);
+    let matches = entries.filter(entry => (!untitledOnly || !entry.title)
+        && (!namesOnly || entry.hasNames)
+        && hasAllTags(entry.tags, tags));
+
+    if (text) {
+        const searchWeights = [
+            { name: 'title', weight: 10 },
+            { name: 'characterName', weight: 8 },
+            { name: 'tags', weight: 5 },
+            { name: 'description', weight: 5 },
+            { name: 'content', weight: 2 },
+        ];
+        matches = performFuzzySearch('greeting-tools-library', matches, searchWeights, text).map(result => result.item);
+    }
+
+    return matches;
+}
+
+/**
+ * Creates the list item of a library entry.
+ * @param {LibraryEntry} entry - The entry
+ * @param {() => void} onOpen - Called when the greeting should be opened in the Greeting Tools popup
+ * @returns {HTMLElement}
+ */
+function createLibraryItem(entry, onOpen) {
+    const item = document.createElement('div');
+    item.classList.add('greeting-tools-library-item', 'flex-container', 'flexFlowColumn');
+
+    const header = document.createElement('div');
+    header.classList.add('flex-container', 'alignItemsCenter', 'gap5px');
+
+    const character = document.createElement('strong');
+    character.classList.add('greeting-tools-library-character');
+    character.textContent = entry.characterName;
+
+    const title = document.createElement('span');
+    title.classList.add('greeting-tools-library-title', 'flex1');
+    const label = entry.swipeIndex === 0 ? t`Main Greeting` : t`Alternate Greeting #${entry.swipeIndex}`;
+    title.textContent = entry.title ? `${entry.title} (${label})` : label;
+    title.classList.toggle('greeting-tools-library-untitled', !entry.title);
+
+    header.append(character, title);
+
+    if (entry.hasNames) {
+        const namesMarker = document.createElement('i');
+        namesMarker.classList.add('fa-solid', 'fa-triangle-exclamation', 'greeting-tools-library-names');
+        namesMarker.title = t`Contains character or user names instead of {{char}} / {{user}} macros`;
+        header.appendChild(namesMarker);
+    }
+
+    const openBtn = document.createElement('div');
+    openBtn.classList.add('menu_button', 'menu_button_icon');
+    openBtn.title = t`Open this character's Greeting Tools`;
+    openBtn.innerHTML = '<i class="fa-solid fa-arrow-up-right-from-square"></i>';
+    openBtn.addEventListener('click', onOpen);
+    header.appendChild(openBtn);
+
+    item.appendChild(header);
+
+    if (entry.description) {
+        const description = document.createElement('small');
+        description.classList.add('greeting-tools-library-description');
+        description.textContent = entry.description;
+        item.appendChild(description);
+    }
+
+    if (entry.tags.length > 0) {
+        const tags = document.createElement('div');
+        tags.classList.add('flex-container', 'gap5px');
+        tags.append(...entry.tags.map(createTagChip));
+        item.appendChild(tags);
+    }
+
+    const preview = document.createElement('div');
+    preview.classList.add('greeting-tools-library-preview');
+    preview.textContent = entry.content.length > PREVIEW_LENGTH ? `${entry.content.slice(0, PREVIEW_LENGTH)}…` : entry.content;
+    item.appendChild(preview);
+
+    return item;
+}
+
+/**
+ * Opens the greeting library, listing the greetings of all characters with search and filters.
+ * Opening a greeting switches to its character and opens the Greeting Tools popup there.
+ * @returns {Promise<void>}
+ */
+export async function openGreetingLibrary() {
+    const entries = collectLibraryEntries();
+
+    const content = document.createElement('div');
+    content.classList.add('flex-container', 'flexFlowColumn', 'gap5', 'justifyLeft', 'greeting-tools-library');
+    content.innerHTML = `
+        <h3>${t`Greeting Library`}</h3>
+        <div class="flex-container alignItemsCenter gap5px">
+            <i class="fa-solid fa-magnifying-glass"></i>
+            <input type="search" class="text_pole greeting-tools-library-search flex1 margin0" placeholder="${t`Search characters, titles, descriptions or content...`}">
+        </div>
+        <div class="flex-container alignItemsCenter gap5px">
+            <label class="checkbox_label">
+                <input type="checkbox" class="greeting-tools-library-untitled-only">
+                <span>${t`Untitled only`}</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="checkbox" class="greeting-tools-library-names-only">
+                <span>${t`Has names not replaced with macros`}</span>
+            </label>
+            <small class="greeting-tools-library-count flex1 textAlignRight"></small>
+        </div>
+        <div class="greeting-tools-library-list flex-container flexFlowColumn"></div>
+    `;
+
+    const searchInput = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-library-search'));
+    const untitledOnly = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-library-untitled-only'));
+    const namesOnly = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-library-names-only'));
+    const countLabel = content.querySelector('.greeting-tools-library-count');
+    const list = content.querySelector('.greeting-tools-library-list');
+
+    /** @type {LibraryEntry | null} */
+    let entryToOpen = null;
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+        okButton: t`Close`,
+    });
+
+    const render = () => {
+        const matches = filterLibraryEntries(entries, {
+            term: searchInput.value,
+            untitledOnly: untitledOnly.checked,
+            namesOnly: namesOnly.checked,
+        });
+
+        const characterCount = new Set(matches.map(entry => entry.chid)).size;
+        countLabel.textContent = matches.length > MAX_LIBRARY_RESULTS
+            ? t`${matches.length} greetings of ${characterCount} characters, showing the first ${MAX_LIBRARY_RESULTS}`
+            : t`${matches.length} greetings of ${characterCount} characters`;
+
+        list.replaceChildren(...matches.slice(0, MAX_LIBRARY_RESULTS).map(entry => createLibraryItem(entry, () => {
+            entryToOpen = entry;
+            popup.completeAffirmative();
+        })));
+    };
+
+    searchInput.addEventListener('input', debounce(render, debounce_timeout.short));
+    untitledOnly.addEventListener('change', render);
+    namesOnly.addEventListener('change', render);
+    render();
+
+    await popup.show();
+    if (!entryToOpen) return;
+
+    // The Greeting Tools popup saves through the character editor, so it only works for the selected character
+    if (String(this_chid) !== String(entryToOpen.chid)) {
+        await selectCharacterById(entryToOpen.chid);
+    }
+    if (String(this_chid) !== String(entryToOpen.chid)) {
+        toastr.warning(t`Could not switch to ${entryToOpen.characterName}`);
+        return;
+    }
+
+    await openGreetingToolsPopup(entryToOpen.chid, { highlightSwipeIndex: entryToOpen.swipeIndex });
+}
@@ -1,31 +1,65 @@
-import { characters, menu_type, create_save, createOrEditCharacter, chat, chat_metadata, swipe, eventSource, event_types } from '../../../../../script.js';
+import { characters, menu_type, create_save, createOrEditCharacter, chat, chat_metadata, swipe, eventSource, event_types, saveChatConditional, this_chid } from '../../../../../script.js';
 import { SWIPE_DIRECTION } from '../../../../constants.js';
 import { renderExtensionTemplateAsync } from '../../../../extensions.js';
 import { Popup, POPUP_TYPE, POPUP_RESULT, PopupUtils } from '../../../../popup.js';
 import { t } from '../../../../i18n.js';
-import { debounce, flashHighlight, getStringHash } from '../../../../utils.js';
+import { debounce, download, escapeHtml, escapeRegex, flashHighlight, getSortableDelay, getStringHash } from '../../../../utils.js';
+import { performFuzzySearch } from '../../../../power-user.js';
 import { debounce_timeout } from '../../../../constants.js';
 import { EXTENSION_NAME } from '../index.js';
-import { findGreetingMetadata, generateGreetingId, getGreetingToolsData, saveGreetingToolsData, updateButtonAppearance, createTempMarker, getTempGreetings, saveTempGreetings, removeTempGreeting } from './data.js';
+import { DEFAULT_RANDOM_GREETING_SETTINGS, addAlternateGreeting, appendGreetingRevision, formatRevisionSource, loadGreetingHistory, saveGreetingHistory, findGreetingMetadata, generateGreetingId, getGreetingToolsData, saveGreetingToolsData, saveGreetingsToCard, updateButtonAppearance, createTempMarker, createTagChip, getTempGreetings, saveTempGreetings, removeTempGreeting, reindexTempGreetings, findGreetingUsage, formatGreetingUsage, hasAllTags, normalizeGreetingTags, parseTagFilter } from './data.js';
 import { greetingToolsSettings } from './settings.js';
 import {
     generateGreetingFlow,
     generateTitleAndDescription,
     textContainsNames,
     replaceNamesWithMacros,
+    rewriteGreetingContent,
+    showRewriteGreetingPopup,
 } from './generator.js';
+import { diffText, renderDiffHtml } from './diff.js';
+import { bundleToJson, bundleToMarkdown, createGreetingBundle, parseGreetingBundle, planBundleMerge } from './bundle.js';
+import { showRandomGreetingSettingsPopup } from './random-greeting.js';
+import { getLinkableWorldInfoEntries, normalizeGreetingWorldInfo } from './greeting-world-info.js';
+import { emitGreetingChanges } from './events.js';
+import { addTempGreetingSwipe, canAddTempGreeting } from './selector.js';
 
 /** @typedef {import('./data.js').GreetingToolsData} GreetingToolsData */
 
+/** Popup result of the rewrite preview for saving the rewrite as a new alternate greeting */
+const REWRITE_RESULT_AS_ALTERNATE = 2;
+
+/** Popup result of the export popup for exporting as Markdown */
+const EXPORT_RESULT_MARKDOWN = 2;
+
+/** Popup result of the character picker for moving the greeting instead of copying it */
+const TRANSFER_RESULT_MOVE = 2;
+
+/** Maximum number of operations that can be undone */
+const MAX_UNDO_STEPS = 50;
+
 /**
  * @typedef {Object} GreetingEditorState
  * @property {string} id - Unique greeting ID
  * @property {string} content - Greeting content (actual message text)
  * @property {string} title - Custom title for display
  * @property {string} description - Optional description/summary
+ * @property {string[]} tags - Tags for grouping and filtering
+ * @property {number} [weight] - Weight when picking a random greeting (1 if not set)
+ * @property {import('./data.js').GreetingWorldInfo} [worldInfo] - World Info activated while a chat runs with this greeting
+ * @property {string} [scenario] - Scenario override applied to the chat while this greeting is selected
+ * @property {string} [authorsNote] - Author's note applied to the chat while this greeting is selected
  * @property {number} contentHash - Hash of content for change detection
  */
 
+/**
+ * Copy of all greeting states, used to undo and redo operations.
+ * @typedef {Object} PopupSnapshot
+ * @property {GreetingEditorState | null} main - The main greeting state
+ * @property {GreetingEditorState[]} alts - The alternate greeting states
+ * @property {GreetingEditorState[]} temps - The temp greeting states
+ */
+
 /**
  * @typedef {Object} OpenPopupOptions
  * @property {number} [highlightSwipeIndex] - Swipe index to highlight (0 = main, 1+ = alternate)
@@ -80,6 +114,42 @@ export class GreetingToolsPopup {
     /** @type {Map<string, boolean>} Stores the open/closed state of each greeting by ID */
     #toggleStates = new Map();
 
+    /** @type {{ [greetingId: string]: import('./data.js').GreetingUsage }} Usage statistics by greeting ID */
+    #usage = {};
+
+    /** @type {import('./data.js').GreetingHistory} Revision history by greeting ID */
+    #history = {};
+
+    /** @type {Map<string, { content: string, title: string, description: string, timestamp: number }>} Version of each greeting when the popup was opened */
+    #revisionBaselines = new Map();
+
+    /** @type {Map<string, import('./events.js').GreetingSnapshotEntry>} Main and alternate greetings as last saved, to emit events for changes */
+    #savedGreetings = new Map();
+
+    /** @type {PopupSnapshot[]} States before each undoable operation, oldest first */
+    #undoStack = [];
+
+    /** @type {PopupSnapshot[]} States before each undone operation, most recently undone last */
+    #redoStack = [];
+
+    /** @type {PopupSnapshot | null} State before the textarea that currently has focus was edited */
+    #pendingEditSnapshot = null;
+
+    /** @type {PopupSnapshot | null} State before the current drag & drop */
+    #dragSnapshot = null;
+
+    /** @type {boolean} Whether a batch auto-fill is currently running */
+    #isBatchRunning = false;
+
+    /** @type {AbortController | null} Controller to cancel the running batch auto-fill, including its current request */
+    #batchAbortController = null;
+
+    /** @type {import('./data.js').RandomGreetingSettings} Random greeting settings of the character */
+    #randomSettings = { ...DEFAULT_RANDOM_GREETING_SETTINGS };
+
+    /** @type {string} Current term of the filter bar */
+    #filterTerm = '';
+
     /**
      * @returns {Character}
      */
@@ -87,6 +157,15 @@ export class GreetingToolsPopup {
         return characters[this.#chid];
     }
 
+    /**
+     * Whether the popup edits the selected character, whose card is saved through the character editor.
+     * Other characters, e.g. group members opened from a group chat, are saved directly.
+     * @returns {boolean}
+     */
+    get #isSelectedCharacter() {
+        return String(this.#chid) === String(this_chid);
+    }
+
     /**
      * @param {string} chid - Character ID
      * @param {OpenPopupOptions} [options={}] - Options object
@@ -118,6 +197,7 @@ export class GreetingToolsPopup {
 
         // Initialize states from character data
         this.#initializeStates();
+        this.#history = menu_type === 'create' ? {} : await loadGreetingHistory({ chid: this.#chid });
 
         // Load templates
         await this.#loadTemplates();
@@ -144,6 +224,12 @@ export class GreetingToolsPopup {
         // Setup keyboard navigation
         this.#setupKeyboardNavigation();
 
+        // Setup drag & drop reordering
+        this.#setupDragAndDrop(list);
+
+        // Setup undo & redo
+        this.#setupUndoRedo(list);
+
         // Create and show popup
         this.#popup = new Popup(this.#template, POPUP_TYPE.TEXT, '', {
             wide: true,
@@ -276,7 +362,7 @@ export class GreetingToolsPopup {
 
         // Also update the character panel textarea if it exists
         const charPanelTextarea = document.querySelector('#firstmessage_textarea');
-        if (charPanelTextarea instanceof HTMLTextAreaElement) {
+        if (charPanelTextarea instanceof HTMLTextAreaElement && (menu_type === 'create' || this.#isSelectedCharacter)) {
             charPanelTextarea.value = content;
         }
     }
@@ -299,6 +385,8 @@ export class GreetingToolsPopup {
     #initializeStates() {
         const greetings = this.#getGreetingsArray();
         const metadata = getGreetingToolsData({ chid: this.#chid });
+        this.#usage = { ...metadata.usage };
+        this.#randomSettings = metadata.random;
 
         // Initialize main greeting state
         const mainContent = this.#getMainGreeting();
@@ -310,6 +398,11 @@ export class GreetingToolsPopup {
             content: mainContent,
             title: mainMeta.title ?? '',
             description: mainMeta.description ?? '',
+            tags: normalizeGreetingTags(mainMeta.tags),
+            weight: mainMeta.weight,
+            worldInfo: normalizeGreetingWorldInfo(mainMeta.worldInfo),
+            scenario: mainMeta.scenario,
+            authorsNote: mainMeta.authorsNote,
             contentHash: mainContentHash,
         };
 
@@ -326,22 +419,62 @@ export class GreetingToolsPopup {
                 content,
                 title: matchedMeta?.title ?? '',
                 description: matchedMeta?.description ?? '',
+                tags: normalizeGreetingTags(matchedMeta?.tags),
+                weight: matchedMeta?.weight,
+                worldInfo: normalizeGreetingWorldInfo(matchedMeta?.worldInfo),
+                scenario: matchedMeta?.scenario,
+                authorsNote: matchedMeta?.authorsNote,
                 contentHash,
             });
         }
 
-        // Load temp greetings from chat metadata
+        // Usage counted before a greeting had metadata is stored by its content, it moves to the greeting's ID on save
+        for (const state of [this.#mainState, ...this.#altStates]) {
+            const usage = findGreetingUsage(metadata, state.id, state.content);
+            if (usage) this.#usage[state.id] = usage;
+        }
+
+        // Load temp greetings from chat metadata (they belong to the chat of the selected character)
         this.#tempStates = [];
-        const tempGreetings = getTempGreetings();
+        const tempGreetings = this.#isSelectedCharacter ? getTempGreetings() : new Map();
         for (const [, tempData] of tempGreetings) {
             this.#tempStates.push({
                 id: tempData.id,
                 content: tempData.content,
                 title: tempData.title,
                 description: tempData.description,
+                tags: normalizeGreetingTags(tempData.tags),
                 contentHash: getStringHash(tempData.content),
             });
         }
+
+        // Remember the loaded versions, so the first change of a greeting can be restored as well
+        const openedAt = Date.now();
+        this.#revisionBaselines = new Map();
+        for (const state of [this.#mainState, ...this.#altStates, ...this.#tempStates]) {
+            if (!state) continue;
+            const { content, title, description } = state;
+            this.#revisionBaselines.set(state.id, { content, title, description, timestamp: openedAt });
+        }
+
+        this.#savedGreetings = this.#createSavedGreetingsSnapshot();
+    }
+
+    /**
+     * Captures the position, content and metadata of the main and alternate greetings, to detect changes between saves.
+     * @returns {Map<string, import('./events.js').GreetingSnapshotEntry>} Greetings by ID
+     */
+    #createSavedGreetingsSnapshot() {
+        const snapshot = new Map();
+        [this.#mainState, ...this.#altStates].forEach((state, swipeIndex) => {
+            if (!state) return;
+            const { content, title, description, tags, weight, worldInfo, scenario, authorsNote } = state;
+            snapshot.set(state.id, {
+                swipeIndex,
+                signature: JSON.stringify([content, title, description, tags, weight, worldInfo, scenario, authorsNote]),
+            });
+        });
+        return snapshot;
     }
 
     /**
@@ -357,6 +490,8 @@ export class GreetingToolsPopup {
             greetings: {},
             indexMap: {},
             mainGreeting: null,
+            usage: {},
+            random: this.#randomSettings,
         };
 
         // Save main greeting metadata
@@ -365,6 +500,11 @@ export class GreetingToolsPopup {
                 id: this.#mainState.id,
                 title: this.#mainState.title,
                 description: this.#mainState.description,
+                tags: this.#mainState.tags,
+                weight: this.#mainState.weight,
+                worldInfo: this.#mainState.worldInfo,
+                scenario: this.#mainState.scenario,
+                authorsNote: this.#mainState.authorsNote,
                 contentHash: this.#mainState.contentHash,
             };
         }
@@ -376,12 +516,40 @@ export class GreetingToolsPopup {
                 id: state.id,
                 title: state.title,
                 description: state.description,
+                tags: state.tags,
+                weight: state.weight,
+                worldInfo: state.worldInfo,
+                scenario: state.scenario,
+                authorsNote: state.authorsNote,
                 contentHash: state.contentHash,
             };
             data.indexMap[i] = state.id;
         }
 
+        // Keep usage statistics of all greetings that still exist
+        for (const state of [this.#mainState, ...this.#altStates]) {
+            if (state && this.#usage[state.id]) {
+                data.usage[state.id] = this.#usage[state.id];
+            }
+        }
+
         await saveGreetingToolsData(data, { chid: this.#chid });
+
+        // Keep revision history of all greetings that still exist (temp greetings keep theirs for when they are saved)
+        /** @type {import('./data.js').GreetingHistory} */
+        const history = {};
+        for (const state of [this.#mainState, ...this.#altStates, ...this.#tempStates]) {
+            if (state && this.#history[state.id]?.length) {
+                history[state.id] = this.#history[state.id];
+            }
+        }
+        await saveGreetingHistory(history, { chid: this.#chid });
+
+        // Let other extensions know what changed since the last save
+        const savedGreetings = this.#createSavedGreetingsSnapshot();
+        const previousGreetings = this.#savedGreetings;
+        this.#savedGreetings = savedGreetings;
+        await emitGreetingChanges(previousGreetings, savedGreetings, this.#chid);
     }
 
     /**
@@ -398,6 +566,7 @@ export class GreetingToolsPopup {
                         ...data,
                         title: tempState.title,
                         description: tempState.description,
+                        tags: tempState.tags,
                         content: tempState.content,
                     });
                     break;
@@ -446,6 +615,11 @@ export class GreetingToolsPopup {
             if (tempCount > 0) {
                 text += ` (+ ${tempCount} ${t`temp`})`;
             }
+            if (this.#filterTerm.trim()) {
+                const blocks = Array.from(this.#template.querySelectorAll('.greeting-tools-block'));
+                const shownCount = blocks.filter(block => block instanceof HTMLElement && block.style.display !== 'none').length;
+                text += ` - ${t`showing ${shownCount} of ${blocks.length}`}`;
+            }
             countSpan.textContent = text;
         }
     }
@@ -524,6 +698,17 @@ export class GreetingToolsPopup {
             descSpan.title = state.description || '';
             descSpan.style.display = state.description ? '' : 'none';
         }
+
+        const tagsContainer = block.querySelector('.greeting-tools-tags');
+        if (tagsContainer instanceof HTMLElement) {
+            tagsContainer.replaceChildren(...state.tags.map(tag => createTagChip(tag)));
+            tagsContainer.style.display = state.tags.length > 0 ? '' : 'none';
+        }
+
+        const usageSpan = block.querySelector('.greeting-tools-usage');
+        if (usageSpan instanceof HTMLElement) {
+            usageSpan.textContent = isTemp ? '' : formatGreetingUsage(this.#usage[state.id]);
+        }
     }
 
     /**
@@ -705,6 +890,42 @@ export class GreetingToolsPopup {
             });
         }
 
+        // History button
+        const historyBtn = block.querySelector('.greeting-tools-history');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!this.#mainState) return;
+                await this.#showHistoryPopup(this.#mainState.id);
+            });
+        }
+
+        // Rewrite button
+        const rewriteBtn = block.querySelector('.greeting-tools-rewrite');
+        if (rewriteBtn) {
+            rewriteBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!this.#mainState) return;
+                await this.#handleRewrite(this.#mainState.id);
+            });
+        }
+
+        // Copy to character button
+        const transferBtn = block.querySelector('.greeting-tools-transfer');
+        if (transferBtn) {
+            transferBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!this.#mainState) return;
+                await this.#handleTransfer(this.#mainState.id);
+            });
+        }
+
+        // Keep filter highlights in sync with the textarea
+        this.#setupHighlightSync(block);
+
         // Check replace-names button visibility on open and on textarea blur
         this.#updateReplaceNamesButton(block, this.#mainState.content);
         if (textarea instanceof HTMLTextAreaElement) {
@@ -740,6 +961,7 @@ export class GreetingToolsPopup {
         }
 
         container.appendChild(block);
+        this.#applyFilter();
     }
 
     /**
@@ -845,6 +1067,39 @@ export class GreetingToolsPopup {
             });
         }
 
+        // History button (works for all greeting types via GreetingContext)
+        const historyBtn = block.querySelector('.greeting-tools-history');
+        if (historyBtn) {
+            historyBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                await this.#showHistoryPopup(state.id, list);
+            });
+        }
+
+        // Rewrite button (works for all greeting types via GreetingContext)
+        const rewriteBtn = block.querySelector('.greeting-tools-rewrite');
+        if (rewriteBtn) {
+            rewriteBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                await this.#handleRewrite(state.id, list);
+            });
+        }
+
+        // Copy or move to character button (works for all greeting types via GreetingContext)
+        const transferBtn = block.querySelector('.greeting-tools-transfer');
+        if (transferBtn) {
+            transferBtn.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                await this.#handleTransfer(state.id, list);
+            });
+        }
+
+        // Keep filter highlights in sync with the textarea
+        this.#setupHighlightSync(block);
+
         // Check replace-names button visibility on open and on textarea blur
         this.#updateReplaceNamesButton(block, state.content);
         if (textarea instanceof HTMLTextAreaElement) {
@@ -928,6 +1183,8 @@ export class GreetingToolsPopup {
      * @param {HTMLElement} list
      */
     async #handleSaveTempGreeting(state, list) {
+        this.#clearUndoHistory();
+
         // Add to altStates (already a proper GreetingEditorState)
         this.#altStates.push({ ...state });
 
@@ -944,7 +1201,7 @@ export class GreetingToolsPopup {
         // Remove from chat metadata (look up swipeIndex by ID)
         const swipeIndex = this.#findTempGreetingSwipeIndex(state.id);
         if (swipeIndex !== undefined) {
-            await removeTempGreeting(swipeIndex);
+            await removeTempGreeting(swipeIndex, { saved: true });
         }
 
         // Re-render
@@ -966,6 +1223,8 @@ export class GreetingToolsPopup {
         );
         if (!confirm) return;
 
+        this.#clearUndoHistory();
+
         // Remove from temp states
         const tempIndex = this.#tempStates.findIndex(s => s.id === state.id);
         if (tempIndex !== -1) {
@@ -1018,7 +1277,7 @@ export class GreetingToolsPopup {
         // Update move button states for last item
         this.#updateMoveButtonStates(list);
         this.#updateHintVisibility(list);
-        this.#updateInfoLine();
+        this.#applyFilter();
     }
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -1055,6 +1314,69 @@ export class GreetingToolsPopup {
         if (generateBtn) {
             generateBtn.addEventListener('click', () => this.#handleGenerateNewGreeting(list));
         }
+
+        // Export and import button handlers
+        const exportBtn = this.#template.querySelector('.greeting-tools-export');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.#handleExport());
+        }
+        const importBtn = this.#template.querySelector('.greeting-tools-import');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.#handleImport(list));
+        }
+
+        // Random greeting settings button handler
+        const randomSettingsBtn = this.#template.querySelector('.greeting-tools-random-settings');
+        if (randomSettingsBtn) {
+            randomSettingsBtn.addEventListener('click', async () => {
+                const settings = await showRandomGreetingSettingsPopup(this.#randomSettings);
+                if (!settings) return;
+                this.#randomSettings = settings;
+                this.#saveDebounced();
+            });
+        }
+
+        // Batch auto-fill button handler
+        const autoFillAllBtn = this.#template.querySelector('.greeting-tools-auto-fill-all');
+        if (autoFillAllBtn) {
+            autoFillAllBtn.addEventListener('click', () => this.#handleBatchAutoFill(list));
+        }
+
+        // Filter bar handler
+        const filterInput = this.#template.querySelector('.greeting-tools-filter-input');
+        if (filterInput instanceof HTMLInputElement) {
+            const applyFilterDebounced = debounce(() => this.#applyFilter(), debounce_timeout.short);
+            filterInput.addEventListener('input', () => {
+                this.#filterTerm = filterInput.value;
+                applyFilterDebounced();
+            });
+            filterInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && filterInput.value) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.#setFilterTerm('');
+                }
+            });
+        }
+
+        // Tag chips toggle their tag in the filter
+        list.addEventListener('click', (e) => {
+            const chip = e.target instanceof Element ? e.target.closest('.greeting-tools-tag') : null;
+            if (chip instanceof HTMLElement && chip.dataset.tag) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.#toggleTagFilter(chip.dataset.tag);
+            }
+        });
+
+        // Batch cancel button handler
+        const batchCancelBtn = this.#template.querySelector('.greeting-tools-batch-cancel');
+        if (batchCancelBtn) {
+            batchCancelBtn.addEventListener('click', () => {
+                this.#batchAbortController?.abort();
+                this.#setBatchProgress(t`Cancelling...`);
+            });
+        }
     }
 
     /**
@@ -1212,7 +1534,7 @@ export class GreetingToolsPopup {
 
         // Generate using the shared generator function
         const existingTitles = this.#getExistingTitles(state);
-        const generated = await generateTitleAndDescription(state.content, { existingTitles });
+        const generated = await generateTitleAndDescription(state.content, { existingTitles, chid: this.#chid });
         if (!generated) return false;
 
         // Helper to apply values to inputs or state
@@ -1279,6 +1601,291 @@ export class GreetingToolsPopup {
         }
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Batch Auto-Fill
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Shows or hides the batch progress line.
+     * @param {string | null} text - Progress text to show, or null to hide the progress line
+     */
+    #setBatchProgress(text) {
+        if (!this.#template) return;
+
+        const progress = this.#template.querySelector('.greeting-tools-batch-progress');
+        if (progress instanceof HTMLElement) {
+            progress.style.display = text === null ? 'none' : '';
+        }
+
+        const progressText = this.#template.querySelector('.greeting-tools-batch-progress-text');
+        if (progressText instanceof HTMLElement) {
+            progressText.textContent = text ?? '';
+        }
+
+        const autoFillAllBtn = this.#template.querySelector('.greeting-tools-auto-fill-all');
+        if (autoFillAllBtn instanceof HTMLElement) {
+            autoFillAllBtn.classList.toggle('greeting-tools-btn-disabled', text !== null);
+        }
+    }
+
+    /**
+     * Marks or unmarks a greeting block as currently being processed.
+     * @param {string} greetingId - The greeting ID
+     * @param {boolean} processing - Whether the block is being processed
+     */
+    #setBlockProcessing(greetingId, processing) {
+        const block = this.#template?.querySelector(`.greeting-tools-block[data-greeting-id="${greetingId}"]`);
+        if (block instanceof HTMLElement) {
+            block.classList.toggle('greeting-tools-block-processing', processing);
+            if (processing) {
+                block.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        }
+    }
+
+    /**
+     * Generates titles and descriptions for all greetings (or only untitled ones) one after another.
+     * Each generated title is included in the existing titles of the following requests, so titles stay distinct.
+     * @param {HTMLElement} list - The greeting list container
+     */
+    async #handleBatchAutoFill(list) {
+        if (this.#isBatchRunning) return;
+
+        const popup = new Popup(
+            PopupUtils.BuildTextWithHeader(
+                t`Auto-Fill All Greetings`,
+                t`Generate titles and descriptions for all greetings. This sends one request per greeting to your LLM.`,
+            ),
+            POPUP_TYPE.CONFIRM,
+            '',
+            {
+                okButton: t`Start`,
+                cancelButton: t`Cancel`,
+                customInputs: [
+                    {
+                        id: 'greeting_batch_only_untitled',
+                        type: 'checkbox',
+                        defaultState: true,
+                        label: t`Only greetings without a title`,
+                    },
+                ],
+            },
+        );
+
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        const onlyUntitled = popup.inputResults?.get('greeting_batch_only_untitled') === true;
+
+        // Collect targets up front, so greetings added during the run are not picked up
+        const targetIds = [this.#mainState, ...this.#altStates, ...this.#tempStates]
+            .filter(state => state && state.content.trim())
+            .filter(state => !onlyUntitled || !state.title)
+            .map(state => state.id);
+
+        if (targetIds.length === 0) {
+            toastr.info(t`There are no greetings to auto-fill`);
+            return;
+        }
+
+        this.#isBatchRunning = true;
+        const abortController = new AbortController();
+        this.#batchAbortController = abortController;
+        const snapshot = this.#captureSnapshot();
+
+        let filledCount = 0;
+        let processedCount = 0;
+
+        try {
+            for (const greetingId of targetIds) {
+                if (abortController.signal.aborted) break;
+
+                // Greeting might have been deleted in the meantime
+                const ctx = this.#resolveGreetingContext(greetingId);
+                if (!ctx) continue;
+
+                processedCount++;
+                const displayTitle = ctx.state.title || t`Untitled greeting`;
+                this.#setBatchProgress(t`Auto-filling ${processedCount} of ${targetIds.length}: ${displayTitle}`);
+                this.#setBlockProcessing(greetingId, true);
+
+                // Existing titles are collected fresh each time, so previously generated titles are included
+                const generated = await generateTitleAndDescription(ctx.state.content, {
+                    existingTitles: this.#getExistingTitles(ctx.state),
+                    showLoader: false,
+                    abortController,
+                    chid: this.#chid,
+                });
+
+                this.#setBlockProcessing(greetingId, false);
+                if (!generated || abortController.signal.aborted) continue;
+
+                ctx.state.title = generated.title;
+                ctx.state.description = generated.description;
+                this.#recordRevision(ctx.state, 'generated');
+                ctx.refreshUI(list);
+                ctx.save();
+                filledCount++;
+            }
+        } finally {
+            this.#isBatchRunning = false;
+            this.#batchAbortController = null;
+            this.#setBatchProgress(null);
+            if (filledCount > 0) this.#pushUndo(snapshot);
+        }
+
+        if (abortController.signal.aborted) {
+            toastr.info(t`Auto-fill cancelled after ${filledCount} of ${targetIds.length} greetings`);
+        } else {
+            toastr.success(t`Auto-filled ${filledCount} of ${targetIds.length} greetings`);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Search & Filter
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Sets the filter term, updates the filter bar and applies the filter.
+     * @param {string} term - The new filter term
+     */
+    #setFilterTerm(term) {
+        this.#filterTerm = term;
+        const filterInput = this.#template?.querySelector('.greeting-tools-filter-input');
+        if (filterInput instanceof HTMLInputElement) {
+            filterInput.value = term;
+        }
+        this.#applyFilter();
+    }
+
+    /**
+     * Adds a tag to the filter, or removes it if the filter already contains it.
+     * @param {string} tag - The tag to toggle
+     */
+    #toggleTagFilter(tag) {
+        const words = this.#filterTerm.trim().split(/\s+/).filter(Boolean);
+        const tagWord = `#${tag}`.toLowerCase();
+        const remaining = words.filter(word => word.toLowerCase() !== tagWord);
+        if (remaining.length === words.length) {
+            remaining.push(`#${tag}`);
+        }
+        this.#setFilterTerm(remaining.join(' '));
+    }
+
+    /**
+     * Finds the greetings matching the current filter term.
+     * Words starting with '#' filter by tag, the rest uses the same fuzzy search and weights as the in-chat greeting selector.
+     * @returns {Set<string> | null} IDs of the matching greetings, or null if no filter is active
+     */
+    #getFilterMatches() {
+        const { tags, text } = parseTagFilter(this.#filterTerm);
+        if (tags.length === 0 && !text) return null;
+
+        let states = [this.#mainState, ...this.#altStates, ...this.#tempStates]
+            .filter(state => state && hasAllTags(state.tags, tags));
+
+        if (text) {
+            const searchWeights = [
+                { name: 'title', weight: 10 },
+                { name: 'tags', weight: 5 },
+                { name: 'description', weight: 5 },
+                { name: 'content', weight: 2 },
+            ];
+            const results = performFuzzySearch('greeting-tools-popup', states, searchWeights, text);
+            states = results.map(result => result.item);
+        }
+
+        return new Set(states.map(state => state.id));
+    }
+
+    /**
+     * Hides greeting blocks not matching the filter term, highlights matches in the textareas and updates the info line.
+     */
+    #applyFilter() {
+        if (!this.#template) return;
+
+        const matches = this.#getFilterMatches();
+        this.#template.querySelectorAll('.greeting-tools-block').forEach(block => {
+            if (!(block instanceof HTMLElement)) return;
+            const isMatch = !matches || matches.has(block.dataset.greetingId);
+            block.style.display = isMatch ? '' : 'none';
+            this.#updateHighlights(block);
+        });
+
+        this.#updateInfoLine();
+    }
+
+    /**
+     * Renders the highlights of the filter term behind the textarea of a greeting block.
+     * Textareas cannot style parts of their text, so the marks are drawn on a backdrop that mirrors the textarea.
+     * @param {HTMLElement} block - The greeting block element
+     */
+    #updateHighlights(block) {
+        const textarea = block.querySelector('.greeting-tools-textarea');
+        const backdrop = block.querySelector('.greeting-tools-highlights');
+        if (!(textarea instanceof HTMLTextAreaElement) || !(backdrop instanceof HTMLElement)) return;
+
+        const text = textarea.value;
+        const words = parseTagFilter(this.#filterTerm).text.split(/\s+/).filter(Boolean);
+        const matches = words.length > 0 && block.style.display !== 'none'
+            ? Array.from(text.matchAll(new RegExp(words.map(word => escapeRegex(word)).join('|'), 'gi')))
+            : [];
+
+        if (matches.length === 0) {
+            backdrop.innerHTML = '';
+            backdrop.style.display = 'none';
+            textarea.classList.remove('greeting-tools-textarea-highlighted');
+            return;
+        }
+
+        // Mirror the textarea box (margins included, as the backdrop is positioned inside the wrapper), so the text lines up exactly
+        if (!textarea.classList.contains('greeting-tools-textarea-highlighted')) {
+            const style = getComputedStyle(textarea);
+            const mirroredProps = ['font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing', 'background-color', 'border-radius', 'box-sizing'];
+            for (const side of ['top', 'right', 'bottom', 'left']) {
+                mirroredProps.push(`margin-${side}`, `padding-${side}`, `border-${side}-width`);
+            }
+            for (const prop of mirroredProps) {
+                backdrop.style.setProperty(prop, style.getPropertyValue(prop));
+            }
+            textarea.classList.add('greeting-tools-textarea-highlighted');
+        }
+
+        let html = '';
+        let lastIndex = 0;
+        for (const match of matches) {
+            html += escapeHtml(text.slice(lastIndex, match.index));
+            html += `<mark>${escapeHtml(match[0])}</mark>`;
+            lastIndex = match.index + match[0].length;
+        }
+        html += escapeHtml(text.slice(lastIndex));
+
+        // A trailing line break is not rendered in a div, but takes up a line in the textarea
+        backdrop.innerHTML = html + '\n';
+        backdrop.style.display = '';
+        backdrop.scrollTop = textarea.scrollTop;
+    }
+
+    /**
+     * Keeps the filter highlights of a greeting block in sync while its textarea is edited or scrolled.
+     * @param {HTMLElement} block - The greeting block element
+     */
+    #setupHighlightSync(block) {
+        const textarea = block.querySelector('.greeting-tools-textarea');
+        const backdrop = block.querySelector('.greeting-tools-highlights');
+        if (!(textarea instanceof HTMLTextAreaElement) || !(backdrop instanceof HTMLElement)) return;
+
+        // Uses jQuery .on() because the maximize editor syncs via $.trigger('input')
+        $(textarea).on('input', () => {
+            if (this.#filterTerm.trim()) {
+                this.#updateHighlights(block);
+            }
+        });
+        textarea.addEventListener('scroll', () => {
+            backdrop.scrollTop = textarea.scrollTop;
+        });
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Greeting Context (uniform abstraction over main / alt / temp)
     // ─────────────────────────────────────────────────────────────────────────
@@ -1337,58 +1944,280 @@ export class GreetingToolsPopup {
         }
     }
 
+    /**
+     * Replaces the content of a greeting through its block's textarea, so the block's input handlers sync and save it.
+     * @param {string} greetingId - The greeting ID
+     * @param {string} content - The new content
+     * @returns {boolean} Whether the greeting block was found and updated
+     */
+    #setGreetingContent(greetingId, content) {
+        const block = this.#template?.querySelector(`.greeting-tools-block[data-greeting-id="${greetingId}"]`);
+        const textarea = block?.querySelector('.greeting-tools-textarea');
+        if (!(block instanceof HTMLElement) || !(textarea instanceof HTMLTextAreaElement)) return false;
+
+        textarea.value = content;
+        $(textarea).trigger('input');
+        this.#updateReplaceNamesButton(block, content);
+        return true;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
-    // Replace Names
+    // Revision History
     // ─────────────────────────────────────────────────────────────────────────
 
     /**
-     * Updates the visibility of the "Replace names with macros" button for a greeting block.
-     * Shows the button only if the greeting content contains character or user names.
-     * @param {HTMLElement} block - The greeting block element
-     * @param {string} content - The current greeting content
+     * Records the current version of a greeting in its revision history, if it changed since the latest revision.
+     * Before the first revision of a greeting, the version it had when the popup was opened is recorded.
+     * @param {GreetingEditorState} state - The greeting state
+     * @param {import('./data.js').GreetingRevisionSource} source - How the current version was created
      */
-    #updateReplaceNamesButton(block, content) {
-        const btn = block.querySelector('.greeting-tools-replace-names');
-        if (btn instanceof HTMLElement) {
-            btn.style.display = textContainsNames(content) ? '' : 'none';
+    #recordRevision(state, source) {
+        let revisions = this.#history[state.id] ?? [];
+
+        const baseline = this.#revisionBaselines.get(state.id);
+        if (revisions.length === 0 && baseline) {
+            const isUnchanged = baseline.content === state.content && baseline.title === state.title && baseline.description === state.description;
+            if (isUnchanged) return;
+            revisions = appendGreetingRevision(revisions, baseline, 'manual', baseline.timestamp);
         }
+
+        this.#history[state.id] = appendGreetingRevision(revisions, state, source);
     }
 
     /**
-     * Handles clicking the "Replace names with macros" button.
-     * Uses {@link GreetingContext} to handle any greeting type uniformly.
-     * @param {string} greetingId - The greeting ID to operate on
-     * @param {HTMLElement} block - The greeting block element
+     * Shows the revision history of a greeting and restores the selected revision.
+     * @param {string} greetingId - The greeting ID
+     * @param {HTMLElement} [list] - The greeting list container
      */
-    #handleReplaceNames(greetingId, block) {
+    async #showHistoryPopup(greetingId, list) {
         const ctx = this.#resolveGreetingContext(greetingId);
         if (!ctx) return;
 
-        const textarea = block.querySelector('.greeting-tools-textarea');
-        if (!(textarea instanceof HTMLTextAreaElement)) return;
-
-        const replaced = replaceNamesWithMacros(textarea.value);
-        if (replaced === textarea.value) return;
+        // Include unsaved edits, so the current version is part of the history
+        this.#recordRevision(ctx.state, 'manual');
 
-        textarea.value = replaced;
-        ctx.state.content = replaced;
-        ctx.state.contentHash = getStringHash(replaced);
-        ctx.syncContent();
-        ctx.save();
+        const revisions = this.#history[greetingId] ?? [];
+        if (revisions.length === 0) {
+            toastr.info(t`This greeting has no earlier versions yet`);
+            return;
+        }
 
-        this.#updateReplaceNamesButton(block, replaced);
-        toastr.success(t`Replaced names with macros`);
-    }
+        const content = document.createElement('div');
+        content.classList.add('flex-container', 'flexFlowColumn', 'gap5', 'justifyLeft');
+        content.innerHTML = `
+            <h3>${t`Greeting History`}</h3>
+            <p>${t`Earlier versions of this greeting, newest first. The changes show what restoring a version would change.`}</p>
+        `;
 
-    /**
-     * Directly auto-fills a greeting state without opening the edit popup.
+        /** @type {number | null} */
+        let restoreIndex = null;
+        const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+            wide: true,
+            large: true,
+            allowVerticalScrolling: true,
+            okButton: t`Close`,
+        });
+
+        for (let i = revisions.length - 1; i >= 0; i--) {
+            const revision = revisions[i];
+            const isCurrent = revision.content === ctx.state.content && revision.title === ctx.state.title && revision.description === ctx.state.description;
+
+            const entry = document.createElement('div');
+            entry.classList.add('greeting-tools-revision');
+            entry.innerHTML = `
+                <div class="flex-container alignItemsCenter gap5px">
+                    <b>${escapeHtml(new Date(revision.timestamp).toLocaleString())}</b>
+                    <span class="greeting-tools-revision-source">${escapeHtml(formatRevisionSource(revision.source))}</span>
+                    <span class="greeting-tools-revision-title flex1">${escapeHtml(revision.title || t`Untitled greeting`)}</span>
+                </div>
+                <details>
+                    <summary>${t`Show changes`}</summary>
+                    ${renderDiffHtml(diffText(ctx.state.content, revision.content, { by: 'word' }))}
+                </details>
+            `;
+
+            const header = entry.querySelector('div');
+            if (isCurrent) {
+                const currentLabel = document.createElement('small');
+                currentLabel.textContent = t`Current version`;
+                header?.append(currentLabel);
+            } else {
+                const restoreBtn = document.createElement('div');
+                restoreBtn.classList.add('menu_button', 'menu_button_icon');
+                restoreBtn.innerHTML = `<i class="fa-solid fa-clock-rotate-left"></i><span>${t`Restore`}</span>`;
+                restoreBtn.addEventListener('click', async () => {
+                    restoreIndex = i;
+                    await popup.completeAffirmative();
+                });
+                header?.append(restoreBtn);
+            }
+
+            content.appendChild(entry);
+        }
+
+        await popup.show();
+        if (restoreIndex === null) return;
+
+        this.#pushUndo();
+        const revision = revisions[restoreIndex];
+        ctx.state.title = revision.title;
+        ctx.state.description = revision.description;
+        if (revision.content !== ctx.state.content) {
+            this.#setGreetingContent(greetingId, revision.content);
+        }
+        ctx.refreshUI(list);
+        ctx.save();
+        toastr.success(t`Greeting restored`);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Rewrite
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Rewrites a greeting following a user instruction.
+     * Shows the changes, then replaces the greeting or saves the rewrite as a new alternate greeting.
+     * @param {string} greetingId - The greeting ID
+     * @param {HTMLElement} [list] - The greeting list container (to render a new alternate greeting)
+     */
+    async #handleRewrite(greetingId, list) {
+        const ctx = this.#resolveGreetingContext(greetingId);
+        if (!ctx) return;
+
+        const instruction = await showRewriteGreetingPopup();
+        if (!instruction) return;
+
+        const original = ctx.state.content;
+        const rewritten = await rewriteGreetingContent(original, instruction, { chid: this.#chid });
+        if (!rewritten) return;
+
+        const result = await this.#showRewritePreview(original, rewritten);
+
+        if (result === POPUP_RESULT.AFFIRMATIVE) {
+            this.#pushUndo();
+
+            // Keep the original version restorable
+            this.#recordRevision(ctx.state, 'manual');
+            if (!this.#setGreetingContent(greetingId, rewritten)) return;
+            this.#recordRevision(ctx.state, 'rewritten');
+            toastr.success(t`Greeting rewritten`);
+        } else if (result === REWRITE_RESULT_AS_ALTERNATE) {
+            const newState = /** @type {GreetingEditorState} */ ({
+                id: generateGreetingId(),
+                content: rewritten,
+                title: ctx.state.title ? t`${ctx.state.title} (rewritten)` : '',
+                description: ctx.state.description,
+                tags: [...ctx.state.tags],
+                contentHash: getStringHash(rewritten),
+            });
+
+            this.#pushUndo();
+            this.#altStates.push(newState);
+            this.#recordRevision(newState, 'rewritten');
+            this.#syncGreetingsToCharacter();
+            this.#saveDebounced();
+
+            const targetList = list ?? this.#template?.querySelector('.greeting-tools-list');
+            if (targetList instanceof HTMLElement) {
+                this.#setFilterTerm('');
+                this.#renderGreetingsList(targetList);
+                targetList.querySelector(`.greeting-tools-block[data-greeting-id="${newState.id}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+
+            updateButtonAppearance(this.#chid);
+            toastr.success(t`Rewrite saved as new alternate greeting`);
+        }
+    }
+
+    /**
+     * Shows the changes of a rewrite against the original greeting.
+     * @param {string} original - The original greeting content
+     * @param {string} rewritten - The rewritten greeting content
+     * @returns {Promise<number | null>} POPUP_RESULT.AFFIRMATIVE to replace, REWRITE_RESULT_AS_ALTERNATE to save as new alternate, anything else to discard
+     */
+    async #showRewritePreview(original, rewritten) {
+        const content = document.createElement('div');
+        content.classList.add('flex-container', 'flexFlowColumn', 'gap5', 'justifyLeft');
+        content.innerHTML = `
+            <h3>${t`Rewritten Greeting`}</h3>
+            <p>${t`Review the changes against the original greeting.`}</p>
+            ${renderDiffHtml(diffText(original, rewritten, { by: 'word' }))}
+        `;
+
+        const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+            wide: true,
+            large: true,
+            allowVerticalScrolling: true,
+            okButton: t`Replace`,
+            cancelButton: t`Discard`,
+            customButtons: [
+                {
+                    text: t`Save as new alternate`,
+                    result: REWRITE_RESULT_AS_ALTERNATE,
+                    icon: 'fa-plus',
+                },
+            ],
+        });
+
+        return await popup.show();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Replace Names
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Updates the visibility of the "Replace names with macros" button for a greeting block.
+     * Shows the button only if the greeting content contains character or user names.
+     * @param {HTMLElement} block - The greeting block element
+     * @param {string} content - The current greeting content
+     */
+    #updateReplaceNamesButton(block, content) {
+        const btn = block.querySelector('.greeting-tools-replace-names');
+        if (btn instanceof HTMLElement) {
+            btn.style.display = textContainsNames(content, { charName: this.#character?.name }) ? '' : 'none';
+        }
+    }
+
+    /**
+     * Handles clicking the "Replace names with macros" button.
+     * Uses {@link GreetingContext} to handle any greeting type uniformly.
+     * @param {string} greetingId - The greeting ID to operate on
+     * @param {HTMLElement} block - The greeting block element
+     */
+    #handleReplaceNames(greetingId, block) {
+        const ctx = this.#resolveGreetingContext(greetingId);
+        if (!ctx) return;
+
+        const textarea = block.querySelector('.greeting-tools-textarea');
+        if (!(textarea instanceof HTMLTextAreaElement)) return;
+
+        const replaced = replaceNamesWithMacros(textarea.value, { charName: this.#character?.name });
+        if (replaced === textarea.value) return;
+
+        this.#pushUndo();
+        textarea.value = replaced;
+        ctx.state.content = replaced;
+        ctx.state.contentHash = getStringHash(replaced);
+        ctx.syncContent();
+        ctx.save();
+
+        this.#updateReplaceNamesButton(block, replaced);
+        toastr.success(t`Replaced names with macros`);
+    }
+
+    /**
+     * Directly auto-fills a greeting state without opening the edit popup.
      * Used by the shortcut button in the greeting block.
      * @param {GreetingEditorState} state - The greeting state to auto-fill
      * @param {() => void} onSave - Callback to refresh UI after save
      */
     async #handleAutoFill(state, onSave) {
+        const snapshot = this.#captureSnapshot();
         const updated = await this.#performAutoFill(state);
         if (updated) {
+            this.#pushUndo(snapshot);
+            this.#recordRevision(state, 'generated');
             onSave();
         }
     }
@@ -1403,6 +2232,9 @@ export class GreetingToolsPopup {
             t`Edit Greeting Details`,
             t`Give this greeting a memorable title and optional description.`,
         );
+        // Temp greetings are not part of the character card, so they can't bring chat overrides or World Info
+        const isTemp = this.#tempStates.includes(state);
+
         const popup = new Popup(content, POPUP_TYPE.INPUT, state.title, {
             customInputs: [
                 {
@@ -1413,6 +2245,24 @@ export class GreetingToolsPopup {
                     defaultState: state.description,
                     tooltip: t`Optional description or summary`,
                 },
+                ...(isTemp ? [] : [
+                    {
+                        id: 'greeting-scenario-input',
+                        label: t`Scenario override`,
+                        type: 'textarea',
+                        rows: 4,
+                        defaultState: state.scenario ?? '',
+                        tooltip: t`Replaces the character's scenario in chats while this greeting is selected`,
+                    },
+                    {
+                        id: 'greeting-authors-note-input',
+                        label: t`Author's Note`,
+                        type: 'textarea',
+                        rows: 4,
+                        defaultState: state.authorsNote ?? '',
+                        tooltip: t`Set as the chat's Author's Note while this greeting is selected`,
+                    },
+                ]),
             ],
             customButtons: [
                 {
@@ -1431,16 +2281,249 @@ export class GreetingToolsPopup {
             ],
         });
 
+        // Tag editor, random weight and World Info links below the description
+        const tagEditor = this.#buildTagEditor(state.tags);
+        const weightEditor = this.#buildWeightEditor(state.weight);
+        const editors = [tagEditor.element, weightEditor.element];
+
+        const worldInfoEditor = isTemp ? null : this.#buildWorldInfoEditor(state.worldInfo, popup);
+        if (worldInfoEditor) editors.push(worldInfoEditor.element);
+
+        const descriptionInput = popup.body?.querySelector('#greeting-description-input');
+        if (descriptionInput?.parentElement) {
+            descriptionInput.parentElement.after(...editors);
+        } else {
+            popup.content?.append(...editors);
+        }
+
         const result = await popup.show();
 
         // For POPUP_TYPE.INPUT: result is input string on confirm, false on negative, null on cancel
         if (typeof result === 'string') {
-            state.title = result.trim();
-            state.description = String(popup.inputResults?.get('greeting-description-input') ?? '').trim();
+            const title = result.trim();
+            const description = String(popup.inputResults?.get('greeting-description-input') ?? '').trim();
+            const tags = tagEditor.getTags();
+            const weight = weightEditor.getWeight();
+            const worldInfo = worldInfoEditor ? worldInfoEditor.getWorldInfo() : state.worldInfo;
+            const worldInfoChanged = JSON.stringify(worldInfo) !== JSON.stringify(state.worldInfo);
+            const scenario = isTemp ? state.scenario : String(popup.inputResults?.get('greeting-scenario-input') ?? '').trim() || undefined;
+            const authorsNote = isTemp ? state.authorsNote : String(popup.inputResults?.get('greeting-authors-note-input') ?? '').trim() || undefined;
+            const overridesChanged = scenario !== state.scenario || authorsNote !== state.authorsNote;
+            if (title === state.title && description === state.description && tags.join(',') === state.tags.join(',') && weight === state.weight && !worldInfoChanged && !overridesChanged) return;
+
+            this.#pushUndo();
+            state.title = title;
+            state.description = description;
+            state.tags = tags;
+            state.weight = weight;
+            state.worldInfo = worldInfo;
+            state.scenario = scenario;
+            state.authorsNote = authorsNote;
             onSave();
         }
     }
 
+    /**
+     * Collects all tags used by the greetings of this character.
+     * @returns {string[]} Unique tags, sorted alphabetically
+     */
+    #getAllTags() {
+        const allTags = [this.#mainState, ...this.#altStates, ...this.#tempStates].flatMap(state => state?.tags ?? []);
+        return normalizeGreetingTags(allTags).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Builds a tag editor with chips of the current tags, an input to add tags and suggestions of tags used on other greetings.
+     * @param {string[]} initialTags - The tags to start with
+     * @returns {{ element: HTMLElement, getTags: () => string[] }} The editor element, and a getter for the edited tags (including not yet confirmed input)
+     */
+    #buildTagEditor(initialTags) {
+        let tags = [...initialTags];
+        const allTags = this.#getAllTags();
+
+        const element = document.createElement('div');
+        element.classList.add('greeting-tools-tag-editor', 'flex-container', 'flexFlowColumn', 'justifyLeft');
+
+        const label = document.createElement('label');
+        label.textContent = t`Tags`;
+
+        const tagList = document.createElement('div');
+        tagList.classList.add('greeting-tools-tags', 'flex-container', 'gap5px');
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.classList.add('text_pole');
+        input.placeholder = t`Add tags, separated by comma or Enter...`;
+        label.htmlFor = input.id = `greeting-tools-tag-input-${Date.now()}`;
+
+        const suggestionList = document.createElement('div');
+        suggestionList.classList.add('greeting-tools-tags', 'greeting-tools-tag-suggestions', 'flex-container', 'gap5px');
+        suggestionList.title = t`Click to add`;
+
+        element.append(label, tagList, input, suggestionList);
+
+        const render = () => {
+            tagList.replaceChildren(...tags.map(tag => {
+                const chip = createTagChip(tag);
+                chip.title = t`Click to remove`;
+                chip.addEventListener('click', () => {
+                    tags = tags.filter(existing => existing !== tag);
+                    render();
+                });
+                return chip;
+            }));
+
+            const currentKeys = new Set(tags.map(tag => tag.toLowerCase()));
+            suggestionList.replaceChildren(...allTags.filter(tag => !currentKeys.has(tag.toLowerCase())).map(tag => {
+                const chip = createTagChip(tag);
+                chip.addEventListener('click', () => {
+                    tags = normalizeGreetingTags([...tags, tag]);
+                    render();
+                });
+                return chip;
+            }));
+        };
+
+        const addInputTags = () => {
+            if (!input.value.trim()) return;
+            tags = normalizeGreetingTags([...tags, ...input.value.split(',')]);
+            input.value = '';
+            render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                // Don't let Enter confirm the popup while adding tags
+                e.preventDefault();
+                e.stopPropagation();
+                addInputTags();
+            } else if (e.key === 'Backspace' && !input.value && tags.length > 0) {
+                tags = tags.slice(0, -1);
+                render();
+            }
+        });
+        input.addEventListener('blur', addInputTags);
+
+        render();
+
+        return {
+            element,
+            getTags: () => {
+                addInputTags();
+                return tags;
+            },
+        };
+    }
+
+    /**
+     * Builds the input for the weight of a greeting when picking a random greeting.
+     * @param {number | undefined} initialWeight - The current weight (1 if not set)
+     * @returns {{ element: HTMLElement, getWeight: () => number | undefined }} The element, and a getter for the weight (undefined for the default weight)
+     */
+    #buildWeightEditor(initialWeight) {
+        const element = document.createElement('div');
+        element.classList.add('greeting-tools-weight-editor', 'flex-container', 'alignItemsCenter', 'gap5px', 'justifyLeft');
+        element.title = t`How likely this greeting is picked as random greeting, if weighted picking is enabled. 0 = never.`;
+
+        const label = document.createElement('label');
+        label.textContent = t`Random weight`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.5';
+        input.classList.add('text_pole');
+        input.value = String(initialWeight ?? 1);
+        label.htmlFor = input.id = `greeting-tools-weight-input-${Date.now()}`;
+
+        element.append(label, input);
+
+        return {
+            element,
+            getWeight: () => {
+                // An empty field means the default weight, only an explicit 0 excludes the greeting
+                if (input.value.trim() === '') return undefined;
+                const weight = Number(input.value);
+                return Number.isFinite(weight) && weight !== 1 ? Math.max(0, weight) : undefined;
+            },
+        };
+    }
+
+    /**
+     * Builds the editor for the World Info keywords and entries linked to a greeting.
+     * The entries of the character's and the global books are loaded in the background.
+     * @param {import('./data.js').GreetingWorldInfo | undefined} initialWorldInfo - The current links
+     * @param {Popup} popup - The popup the editor is shown in
+     * @returns {{ element: HTMLElement, getWorldInfo: () => import('./data.js').GreetingWorldInfo | undefined }} The element, and a getter for the edited links
+     */
+    #buildWorldInfoEditor(initialWorldInfo, popup) {
+        const element = document.createElement('div');
+        element.classList.add('greeting-tools-world-info-editor', 'flex-container', 'flexFlowColumn', 'justifyLeft');
+        element.title = t`Activated while a chat runs with this greeting`;
+
+        const keywordsLabel = document.createElement('label');
+        keywordsLabel.textContent = t`World Info keywords`;
+
+        const keywordsInput = document.createElement('input');
+        keywordsInput.type = 'text';
+        keywordsInput.classList.add('text_pole');
+        keywordsInput.placeholder = t`Keywords added to the World Info scan, separated by comma...`;
+        keywordsInput.value = initialWorldInfo?.keywords.join(', ') ?? '';
+        keywordsLabel.htmlFor = keywordsInput.id = `greeting-tools-wi-keywords-${Date.now()}`;
+
+        const entriesLabel = document.createElement('label');
+        entriesLabel.textContent = t`Linked World Info entries`;
+
+        const entriesSelect = document.createElement('select');
+        entriesSelect.multiple = true;
+        entriesSelect.classList.add('greeting-tools-world-info-entries');
+        entriesLabel.htmlFor = entriesSelect.id = `greeting-tools-wi-entries-${Date.now()}`;
+
+        element.append(keywordsLabel, keywordsInput, entriesLabel, entriesSelect);
+
+        const toValue = (/** @type {string} */ world, /** @type {number} */ uid) => JSON.stringify({ world, uid });
+        const linkedValues = new Set((initialWorldInfo?.entries ?? []).map(entry => toValue(entry.world, entry.uid)));
+
+        getLinkableWorldInfoEntries(this.#chid).then(books => {
+            for (const book of books) {
+                const group = document.createElement('optgroup');
+                group.label = book.world;
+                for (const entry of book.entries) {
+                    const value = toValue(book.world, entry.uid);
+                    group.appendChild(new Option(entry.label, value, false, linkedValues.has(value)));
+                    linkedValues.delete(value);
+                }
+                entriesSelect.appendChild(group);
+            }
+            // Keep links to entries of books that are not listed, e.g. not active anymore
+            for (const value of linkedValues) {
+                const { world, uid } = JSON.parse(value);
+                entriesSelect.appendChild(new Option(`${world}: #${uid}`, value, false, true));
+            }
+
+            $(entriesSelect).select2({
+                width: '100%',
+                placeholder: t`Entries of the character's and the global World Info books`,
+                closeOnSelect: false,
+                dropdownParent: $(popup.dlg),
+            });
+        }).catch(error => {
+            console.error('[GreetingTools] Failed to load World Info entries:', error);
+        });
+
+        return {
+            element,
+            getWorldInfo: () => {
+                const keywords = keywordsInput.value.split(',');
+                // Entries can't be edited before they are loaded, keep the current links until then
+                const entries = $(entriesSelect).data('select2')
+                    ? Array.from(entriesSelect.selectedOptions, option => JSON.parse(option.value))
+                    : initialWorldInfo?.entries ?? [];
+                return normalizeGreetingWorldInfo({ keywords, entries });
+            },
+        };
+    }
+
     /**
      * Handles moving a greeting up or down.
      * @param {string} greetingId
@@ -1461,6 +2544,8 @@ export class GreetingToolsPopup {
 
         if (newIndex < 0 || newIndex >= this.#altStates.length) return;
 
+        this.#pushUndo();
+
         // Swap in state array
         [this.#altStates[index], this.#altStates[newIndex]] = [this.#altStates[newIndex], this.#altStates[index]];
 
@@ -1479,6 +2564,8 @@ export class GreetingToolsPopup {
     #swapMainWithFirstAlt(list) {
         if (!this.#mainState || this.#altStates.length === 0) return;
 
+        this.#pushUndo();
+
         // Swap state objects
         const oldMain = this.#mainState;
         const oldFirstAlt = this.#altStates[0];
@@ -1496,6 +2583,282 @@ export class GreetingToolsPopup {
         this.#renderGreetingsList(list);
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Undo & Redo
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Copies all greeting states.
+     * @returns {PopupSnapshot}
+     */
+    #captureSnapshot() {
+        return structuredClone({
+            main: this.#mainState ?? null,
+            alts: this.#altStates,
+            temps: this.#tempStates,
+        });
+    }
+
+    /**
+     * Records the state before an operation, so the operation can be undone.
+     * Must be called before the greeting states are modified. Clears the redo stack.
+     * @param {PopupSnapshot} [snapshot] - The state before the operation (defaults to the current state)
+     */
+    #pushUndo(snapshot = this.#captureSnapshot()) {
+        this.#undoStack.push(snapshot);
+        if (this.#undoStack.length > MAX_UNDO_STEPS) {
+            this.#undoStack.shift();
+        }
+        this.#redoStack = [];
+        this.#updateUndoRedoButtons();
+    }
+
+    /**
+     * Clears undo and redo, e.g. after temp greetings were removed from the chat, which can't be undone.
+     */
+    #clearUndoHistory() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#pendingEditSnapshot = null;
+        this.#updateUndoRedoButtons();
+    }
+
+    /**
+     * Undoes the last operation.
+     * @param {HTMLElement} list
+     */
+    #undo(list) {
+        const snapshot = this.#undoStack.pop();
+        if (!snapshot || this.#isBatchRunning) {
+            if (snapshot) this.#undoStack.push(snapshot);
+            return;
+        }
+        this.#redoStack.push(this.#captureSnapshot());
+        this.#restoreSnapshot(snapshot, list);
+    }
+
+    /**
+     * Redoes the last undone operation.
+     * @param {HTMLElement} list
+     */
+    #redo(list) {
+        const snapshot = this.#redoStack.pop();
+        if (!snapshot || this.#isBatchRunning) {
+            if (snapshot) this.#redoStack.push(snapshot);
+            return;
+        }
+        this.#undoStack.push(this.#captureSnapshot());
+        this.#restoreSnapshot(snapshot, list);
+    }
+
+    /**
+     * Restores the greeting states from a snapshot, syncs them to the character and re-renders.
+     * Temp greetings that no longer exist are not brought back, only the details of existing ones are restored.
+     * @param {PopupSnapshot} snapshot - The snapshot to restore
+     * @param {HTMLElement} list
+     */
+    #restoreSnapshot(snapshot, list) {
+        const restored = structuredClone(snapshot);
+        this.#mainState = restored.main;
+        this.#altStates = restored.alts;
+        for (const tempState of this.#tempStates) {
+            const saved = restored.temps.find(s => s.id === tempState.id);
+            if (!saved) continue;
+            Object.assign(tempState, saved);
+            this.#syncTempGreetingContent(tempState);
+        }
+
+        if (this.#mainState) {
+            this.#setMainGreeting(this.#mainState.content);
+        }
+        this.#syncGreetingsToCharacter();
+        this.#saveDebounced();
+        this.#saveTempMetadata();
+
+        this.#renderMainGreeting();
+        this.#renderGreetingsList(list);
+        updateButtonAppearance(this.#chid);
+        this.#updateUndoRedoButtons();
+    }
+
+    /**
+     * Updates the enabled state of the undo and redo toolbar buttons.
+     */
+    #updateUndoRedoButtons() {
+        this.#template?.querySelector('.greeting-tools-undo')?.classList.toggle('greeting-tools-btn-disabled', this.#undoStack.length === 0);
+        this.#template?.querySelector('.greeting-tools-redo')?.classList.toggle('greeting-tools-btn-disabled', this.#redoStack.length === 0);
+    }
+
+    /**
+     * Sets up the undo and redo toolbar buttons, Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z),
+     * and records edits of the greeting textareas as one operation per focus.
+     * Inside text fields, the shortcuts are left to the browser's own undo.
+     * @param {HTMLElement} list
+     */
+    #setupUndoRedo(list) {
+        if (!this.#template) return;
+
+        this.#template.querySelector('.greeting-tools-undo')?.addEventListener('click', () => this.#undo(list));
+        this.#template.querySelector('.greeting-tools-redo')?.addEventListener('click', () => this.#redo(list));
+
+        this.#template.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target instanceof HTMLTextAreaElement || e.target instanceof HTMLInputElement) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.#undo(list);
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.#redo(list);
+            }
+        });
+
+        // Typing is one undoable operation per textarea focus
+        list.addEventListener('focusin', (e) => {
+            if (e.target instanceof HTMLTextAreaElement && e.target.classList.contains('greeting-tools-textarea')) {
+                this.#pendingEditSnapshot = this.#captureSnapshot();
+            }
+        });
+        list.addEventListener('focusout', (e) => {
+            if (!(e.target instanceof HTMLTextAreaElement) || !e.target.classList.contains('greeting-tools-textarea')) return;
+
+            const snapshot = this.#pendingEditSnapshot;
+            this.#pendingEditSnapshot = null;
+            const greetingId = e.target.closest('.greeting-tools-block')?.getAttribute('data-greeting-id');
+            const ctx = greetingId ? this.#resolveGreetingContext(greetingId) : null;
+            if (!snapshot || !ctx) return;
+
+            const before = [snapshot.main, ...snapshot.alts, ...snapshot.temps].find(s => s?.id === ctx.state.id);
+            if (before && before.content !== ctx.state.content) {
+                this.#pushUndo(snapshot);
+            }
+        });
+
+        this.#updateUndoRedoButtons();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Drag & Drop Reordering
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Makes the greeting blocks sortable via their drag handles.
+     * Blocks can be moved between the main slot and the alternates. Temp greetings can be dragged into both, which saves them.
+     * @param {HTMLElement} list
+     */
+    #setupDragAndDrop(list) {
+        const mainContainer = list.querySelector('.greeting-tools-main-container');
+        const altContainer = list.querySelector('.greeting-tools-alt-container');
+        const tempContainer = list.querySelector('.greeting-tools-temp-container');
+        if (!mainContainer || !altContainer || !tempContainer) return;
+
+        const sortableOptions = {
+            delay: getSortableDelay(),
+            handle: '.greeting-tools-drag-handle',
+            items: '> .greeting-tools-block',
+            placeholder: 'greeting-tools-drop-placeholder',
+            forcePlaceholderSize: true,
+            tolerance: 'pointer',
+            start: () => {
+                list.classList.add('greeting-tools-dragging');
+                this.#dragSnapshot = this.#captureSnapshot();
+            },
+            stop: () => this.#handleDrop(list),
+        };
+
+        $(mainContainer).sortable({ ...sortableOptions, connectWith: [altContainer] });
+        $(altContainer).sortable({ ...sortableOptions, connectWith: [mainContainer] });
+        // Nothing can be dropped into the temp section, temp greetings can only be dragged out of it
+        $(tempContainer).sortable({ ...sortableOptions, connectWith: [mainContainer, altContainer] });
+
+        // The handle sits inside the summary, so clicking it must not toggle the greeting
+        list.addEventListener('click', (e) => {
+            if (e.target instanceof Element && e.target.closest('.greeting-tools-drag-handle')) {
+                e.preventDefault();
+            }
+        });
+    }
+
+    /**
+     * Applies the block order after a drag & drop to the greeting states, then re-renders from state.
+     * Dropping a greeting onto the main slot makes it the main greeting and moves the old main greeting to the top of the alternates,
+     * like {@link GreetingToolsPopup#swapMainWithFirstAlt} does. Dragging the main greeting into the alternates promotes the first alternate instead.
+     * @param {HTMLElement} list
+     */
+    async #handleDrop(list) {
+        list.classList.remove('greeting-tools-dragging');
+        if (!this.#mainState) return;
+        const dragSnapshot = this.#dragSnapshot;
+        this.#dragSnapshot = null;
+
+        const getBlockIds = (/** @type {string} */ containerSelector) => Array.from(list.querySelectorAll(`${containerSelector} > .greeting-tools-block`))
+            .map(block => block instanceof HTMLElement ? block.dataset.greetingId : undefined)
+            .filter(Boolean);
+
+        const oldMain = this.#mainState;
+        const mainIds = getBlockIds('.greeting-tools-main-container');
+        let altIds = getBlockIds('.greeting-tools-alt-container');
+
+        let mainId = mainIds.find(id => id !== oldMain.id);
+        if (mainId) {
+            altIds.unshift(oldMain.id);
+        } else if (!mainIds.includes(oldMain.id)) {
+            mainId = altIds.find(id => id !== oldMain.id);
+            altIds = altIds.filter(id => id !== mainId);
+        } else {
+            mainId = oldMain.id;
+        }
+
+        const allStates = [oldMain, ...this.#altStates, ...this.#tempStates];
+        const findState = (/** @type {string} */ id) => allStates.find(s => s.id === id);
+        const newMain = findState(mainId);
+        const newAlts = altIds.map(findState).filter(Boolean);
+        const savedTemps = this.#tempStates.filter(s => s === newMain || newAlts.includes(s));
+
+        const orderChanged = newMain !== oldMain
+            || newAlts.length !== this.#altStates.length
+            || newAlts.some((state, i) => state !== this.#altStates[i]);
+
+        if (newMain && orderChanged) {
+            // Saved temp greetings are removed from the chat, which can't be undone
+            if (savedTemps.length > 0) {
+                this.#clearUndoHistory();
+            } else if (dragSnapshot) {
+                this.#pushUndo(dragSnapshot);
+            }
+            this.#mainState = newMain;
+            this.#altStates = newAlts;
+            this.#tempStates = this.#tempStates.filter(s => !savedTemps.includes(s));
+
+            this.#setMainGreeting(newMain.content);
+            this.#syncGreetingsToCharacter();
+        }
+
+        // Always re-render, so the DOM matches the state again (e.g. for drops that were not allowed)
+        this.#renderMainGreeting();
+        this.#renderGreetingsList(list);
+
+        if (!newMain || !orderChanged) return;
+
+        if (savedTemps.length === 0) {
+            this.#saveDebounced();
+            return;
+        }
+
+        // Same as saving a temp greeting via its button: persist metadata first, then drop it from the chat's temp greetings
+        await this.#saveAllMetadata();
+        for (const state of savedTemps) {
+            const swipeIndex = this.#findTempGreetingSwipeIndex(state.id);
+            if (swipeIndex !== undefined) {
+                await removeTempGreeting(swipeIndex, { saved: true });
+            }
+        }
+        updateButtonAppearance(this.#chid);
+        toastr.success(t`Temporary greeting saved to the character`);
+    }
+
     /**
      * Handles deleting a greeting.
      * @param {string} greetingId
@@ -1518,6 +2881,8 @@ export class GreetingToolsPopup {
 
         if (!confirm) return;
 
+        this.#pushUndo();
+
         // Remove from state
         this.#altStates.splice(index, 1);
 
@@ -1537,11 +2902,14 @@ export class GreetingToolsPopup {
      * @param {HTMLElement} list
      */
     #handleAdd(list) {
+        this.#pushUndo();
+
         const newState = {
             id: generateGreetingId(),
             content: '',
             title: '',
             description: '',
+            tags: [],
             contentHash: getStringHash(''),
         };
 
@@ -1549,6 +2917,9 @@ export class GreetingToolsPopup {
         this.#syncGreetingsToCharacter();
         this.#saveDebounced();
 
+        // A new empty greeting never matches the filter, so show all greetings again
+        this.#setFilterTerm('');
+
         // Append the new block to the alt container - force open for manually added empty greetings
         const block = this.#createGreetingBlock(newState, this.#altStates.length - 1, list, { forceOpen: true });
         const altContainer = list.querySelector('.greeting-tools-alt-container');
@@ -1574,6 +2945,275 @@ export class GreetingToolsPopup {
         updateButtonAppearance(this.#chid);
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Export & Import
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Exports the main and alternate greetings with their titles, descriptions, tags and order
+     * as a JSON or Markdown file. Temporary greetings are not part of the character and not exported.
+     */
+    async #handleExport() {
+        const popup = new Popup(t`Export all greetings of this character with their titles, descriptions, tags and order.`, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`JSON`,
+            cancelButton: t`Cancel`,
+            customButtons: [
+                {
+                    text: t`Markdown`,
+                    result: EXPORT_RESULT_MARKDOWN,
+                    icon: 'fa-file-lines',
+                },
+            ],
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE && result !== EXPORT_RESULT_MARKDOWN) return;
+
+        const characterName = this.#character?.name ?? '';
+        const bundle = createGreetingBundle(characterName, [this.#mainState, ...this.#altStates].filter(Boolean));
+        const fileName = `${characterName || 'greetings'} - greetings`.replace(/[\\/:*?"<>|]/g, '_');
+
+        if (result === EXPORT_RESULT_MARKDOWN) {
+            download(bundleToMarkdown(bundle), `${fileName}.md`, 'text/markdown');
+        } else {
+            download(bundleToJson(bundle), `${fileName}.json`, 'application/json');
+        }
+    }
+
+    /**
+     * Lets the user pick a greeting bundle file.
+     * @returns {Promise<File | null>} The picked file, or null if none was picked
+     */
+    #pickBundleFile() {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json,.md,.markdown,.txt';
+            input.addEventListener('change', () => resolve(input.files?.[0] ?? null));
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
+
+    /**
+     * Asks how an imported bundle is merged into the existing greetings.
+     * @param {import('./bundle.js').GreetingBundle} bundle - The imported bundle
+     * @returns {Promise<import('./bundle.js').BundleMergeMode | null>} The merge mode, or null if cancelled
+     */
+    async #showImportOptionsPopup(bundle) {
+        const count = bundle.greetings.length;
+        const summary = bundle.character ? t`${count} greetings from ${bundle.character}` : t`${count} greetings`;
+        const content = document.createElement('div');
+        content.classList.add('flex-container', 'flexFlowColumn', 'gap5', 'justifyLeft', 'greeting-tools-import-options');
+        content.innerHTML = `
+            <h3>${t`Import Greetings`}</h3>
+            <p>${escapeHtml(summary)}</p>
+            <label class="checkbox_label">
+                <input type="radio" name="greeting-tools-import-mode" value="append" checked>
+                <span>${t`Append all as new alternate greetings`}</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="radio" name="greeting-tools-import-mode" value="replace">
+                <span>${t`Replace greetings with the same title, append the others`}</span>
+            </label>
+            <label class="checkbox_label">
+                <input type="radio" name="greeting-tools-import-mode" value="skip">
+                <span>${t`Skip greetings with the same content, append the others`}</span>
+            </label>
+        `;
+
+        const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Import`,
+            cancelButton: t`Cancel`,
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+
+        const checked = content.querySelector('input[name="greeting-tools-import-mode"]:checked');
+        return /** @type {import('./bundle.js').BundleMergeMode} */ (checked instanceof HTMLInputElement ? checked.value : 'append');
+    }
+
+    /**
+     * Imports a greeting bundle file and merges it into the main and alternate greetings.
+     * @param {HTMLElement} list - The greeting list container
+     */
+    async #handleImport(list) {
+        const file = await this.#pickBundleFile();
+        if (!file) return;
+
+        /** @type {import('./bundle.js').GreetingBundle} */
+        let bundle;
+        try {
+            bundle = parseGreetingBundle(await file.text());
+        } catch (error) {
+            console.error('[GreetingTools] Failed to import greeting bundle', error);
+            toastr.error(t`Could not import greetings: ${error.message}`);
+            return;
+        }
+
+        const mode = await this.#showImportOptionsPopup(bundle);
+        if (!mode) return;
+
+        /** @type {GreetingEditorState[]} */
+        const existing = [this.#mainState, ...this.#altStates].filter(Boolean);
+        const plan = planBundleMerge(existing, bundle.greetings, mode);
+        if (plan.added.length === 0 && plan.replaced.length === 0) {
+            toastr.info(t`All greetings already exist, nothing was imported`);
+            return;
+        }
+
+        this.#pushUndo();
+
+        for (const { index, greeting } of plan.replaced) {
+            const state = existing[index];
+            // Keep the replaced version restorable
+            this.#recordRevision(state, 'manual');
+            state.title = greeting.title;
+            state.description = greeting.description;
+            state.tags = greeting.tags;
+            state.content = greeting.content;
+            state.contentHash = greeting.contentHash;
+            this.#recordRevision(state, 'manual');
+        }
+        for (const greeting of plan.added) {
+            this.#altStates.push({
+                id: generateGreetingId(),
+                title: greeting.title,
+                description: greeting.description,
+                tags: greeting.tags,
+                content: greeting.content,
+                contentHash: greeting.contentHash,
+            });
+        }
+
+        if (this.#mainState && plan.replaced.some(({ index }) => index === 0)) {
+            this.#setMainGreeting(this.#mainState.content);
+        }
+        this.#syncGreetingsToCharacter();
+        this.#saveDebounced();
+
+        // Show all greetings again, so the imported ones are visible
+        this.#setFilterTerm('');
+        this.#renderMainGreeting();
+        this.#renderGreetingsList(list);
+        updateButtonAppearance(this.#chid);
+
+        toastr.success(t`Imported greetings: ${plan.added.length} added, ${plan.replaced.length} replaced, ${plan.skipped.length} skipped`);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Copy & Move to Character
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Shows a searchable list of other characters to copy or move a greeting to.
+     * @param {boolean} allowMove - Whether the greeting can be moved (only alternate greetings can be removed here)
+     * @returns {Promise<{ chid: string, move: boolean } | null>} The target character and whether to move, or null if cancelled
+     */
+    async #showCharacterPickerPopup(allowMove) {
+        const candidates = Object.keys(characters)
+            .filter(chid => String(chid) !== String(this.#chid) && characters[chid]?.avatar)
+            .sort((a, b) => characters[a].name.localeCompare(characters[b].name));
+        if (candidates.length === 0) {
+            toastr.info(t`There are no other characters`);
+            return null;
+        }
+
+        // Characters can share a name, so those get their card file name added
+        const nameCounts = new Map();
+        candidates.forEach(chid => nameCounts.set(characters[chid].name, (nameCounts.get(characters[chid].name) ?? 0) + 1));
+
+        const content = document.createElement('div');
+        content.classList.add('flex-container', 'flexFlowColumn', 'gap5', 'justifyLeft', 'greeting-tools-character-picker');
+        content.innerHTML = `
+            <h3>${allowMove ? t`Copy or Move Greeting` : t`Copy Greeting`}</h3>
+            <p>${t`Choose the character to add this greeting to as an alternate greeting, including its title, description and tags.`}</p>
+            <input type="search" class="text_pole greeting-tools-character-filter" placeholder="${t`Search characters...`}">
+            <select class="text_pole greeting-tools-character-select" size="10"></select>
+        `;
+
+        const filterInput = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-character-filter'));
+        const select = /** @type {HTMLSelectElement} */ (content.querySelector('.greeting-tools-character-select'));
+        for (const chid of candidates) {
+            const { name, avatar } = characters[chid];
+            const option = document.createElement('option');
+            option.value = String(chid);
+            option.textContent = nameCounts.get(name) > 1 ? `${name} (${avatar})` : name;
+            select.appendChild(option);
+        }
+        select.selectedIndex = 0;
+
+        filterInput.addEventListener('input', () => {
+            const term = filterInput.value.trim().toLowerCase();
+            for (const option of select.options) {
+                option.hidden = !!term && !option.textContent.toLowerCase().includes(term);
+            }
+            if (select.selectedOptions[0]?.hidden) {
+                select.value = Array.from(select.options).find(option => !option.hidden)?.value ?? '';
+            }
+        });
+
+        const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+            okButton: t`Copy`,
+            cancelButton: t`Cancel`,
+            customButtons: allowMove ? [
+                {
+                    text: t`Move`,
+                    result: TRANSFER_RESULT_MOVE,
+                    icon: 'fa-right-from-bracket',
+                },
+            ] : [],
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE && result !== TRANSFER_RESULT_MOVE) return null;
+        if (!select.value || !characters[select.value]) return null;
+
+        return { chid: select.value, move: result === TRANSFER_RESULT_MOVE };
+    }
+
+    /**
+     * Copies a greeting to another character as a new alternate greeting, including its metadata, and saves that character's card.
+     * Alternate greetings can also be moved, which removes them here afterwards.
+     * @param {string} greetingId - The greeting ID
+     * @param {HTMLElement} [list] - The greeting list container
+     */
+    async #handleTransfer(greetingId, list) {
+        const ctx = this.#resolveGreetingContext(greetingId);
+        if (!ctx) return;
+
+        const target = await this.#showCharacterPickerPopup(ctx.type === 'alt');
+        if (!target) return;
+
+        const { state } = ctx;
+        const targetName = characters[target.chid].name;
+        const swipeIndex = await addAlternateGreeting(state.content, {
+            id: target.move ? state.id : null,
+            title: state.title,
+            description: state.description,
+            tags: state.tags,
+            chid: target.chid,
+        });
+        const saved = swipeIndex !== -1 && await saveGreetingsToCard(target.chid);
+        if (!saved) {
+            toastr.error(t`Could not save the greeting to ${targetName}`);
+            return;
+        }
+
+        if (!target.move || !list) {
+            toastr.success(t`Greeting copied to ${targetName}`);
+            return;
+        }
+
+        // Undoing the move brings the greeting back here, the copy on the other character stays
+        this.#pushUndo();
+        this.#altStates = this.#altStates.filter(s => s !== state);
+        this.#syncGreetingsToCharacter();
+        this.#saveDebounced();
+        this.#renderGreetingsList(list);
+        updateButtonAppearance(this.#chid);
+
+        toastr.success(t`Greeting moved to ${targetName}`);
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Generate New Greeting
     // ─────────────────────────────────────────────────────────────────────────
@@ -1598,60 +3238,90 @@ export class GreetingToolsPopup {
     /**
      * Shows the generate greeting popup and handles the generation flow.
      * Uses the unified generateGreetingFlow for the generation logic.
+     * Kept variants are added as alternate greetings, or as temporary greetings if chosen while the chat can still start with them.
      * @param {HTMLElement} list - The greeting list container
      */
     async #handleGenerateNewGreeting(list) {
-        /** @type {HTMLElement | undefined} */
-        let block;
+        const allowTemp = menu_type !== 'create' && this.#isSelectedCharacter && canAddTempGreeting();
 
-        // Use unified generation flow with callback for early UI update
-        const generated = await generateGreetingFlow({
+        // Use unified generation flow
+        const generatedGreetings = await generateGreetingFlow({
             existingTitles: this.#getAllExistingTitles(),
+            allowTemp,
+            chid: this.#chid,
         });
 
-        if (!generated) return;
+        if (generatedGreetings.length === 0) return;
+
+        const snapshot = this.#captureSnapshot();
+
+        // Save kept alternates before adding temp swipes, so the temp greetings are appended behind them
+        const generatedAlternates = generatedGreetings.filter(generated => generated.target !== 'temp');
+        const generatedTemps = generatedGreetings.filter(generated => generated.target === 'temp');
+        let savedAlternates = false;
+
+        /** @type {GreetingEditorState[]} */
+        const newStates = [];
+        for (const generated of [...generatedAlternates, ...generatedTemps]) {
+            // Create new state with generated content
+            const newState = /** @type {GreetingEditorState} */ ({
+                id: generated.id,
+                content: generated.content,
+                title: generated.title,
+                description: generated.description,
+                tags: [],
+                contentHash: getStringHash(generated.content),
+            });
 
-        // Create new state with generated content
-        const newState = /** @type {GreetingEditorState} */ ({
-            id: generated.id,
-            content: generated.content,
-            title: generated.title,
-            description: generated.description,
-            contentHash: getStringHash(generated.content),
-        });
+            if (generated.target === 'temp') {
+                if (generatedAlternates.length > 0 && !savedAlternates) {
+                    this.#syncGreetingsToCharacter();
+                    await this.#saveAllMetadata();
+                    await saveCharacterPreservingSwipes();
+                    savedAlternates = true;
+                }
+                const swipeIndex = await addTempGreetingSwipe(generated);
+                if (swipeIndex === null) continue;
+                this.#tempStates.push(newState);
+            } else {
+                this.#altStates.push(newState);
+            }
+            this.#recordRevision(newState, 'generated');
+            newStates.push(newState);
+        }
 
-        // Add to states and sync
-        this.#altStates.push(newState);
-        this.#syncGreetingsToCharacter();
-        this.#saveDebounced();
+        if (newStates.length === 0) return;
+        this.#pushUndo(snapshot);
 
-        // Append the new block to the alt container
-        block = this.#createGreetingBlock(newState, this.#altStates.length - 1, list);
-        const altContainer = list.querySelector('.greeting-tools-alt-container');
-        if (altContainer) {
-            altContainer.appendChild(block);
+        // Sync and save
+        if (this.#altStates.some(state => newStates.includes(state))) {
+            this.#syncGreetingsToCharacter();
+            this.#saveDebounced();
         }
 
-        // Update UI states
-        this.#updateMoveButtonStates(list);
-        this.#updateHintVisibility(list);
-        this.#updateInfoLine();
-
-        // Scroll to the new block
-        block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        // Show all greetings again, so the new ones are visible
+        this.#setFilterTerm('');
+        this.#renderGreetingsList(list);
 
         // Update button count
         updateButtonAppearance(this.#chid);
 
         // Show success message
-        if (generated.title) {
+        if (newStates.length > 1) {
+            toastr.success(t`${newStates.length} new greetings created`);
+        } else if (newStates[0].title) {
             toastr.success(t`New greeting created with title and description`);
         } else {
             toastr.success(t`New greeting created`);
         }
 
-        // Focus the textarea
-        const textarea = block?.querySelector('.greeting-tools-textarea');
+        // Scroll to the last new block and focus its textarea
+        const lastState = newStates[newStates.length - 1];
+        const block = list.querySelector(`.greeting-tools-block[data-greeting-id="${lastState.id}"]`);
+        if (!(block instanceof HTMLElement)) return;
+
+        block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const textarea = block.querySelector('.greeting-tools-textarea');
         if (textarea instanceof HTMLTextAreaElement) {
             textarea.focus();
         }
@@ -1666,72 +3336,112 @@ export class GreetingToolsPopup {
      * Preserves temp greetings and restores swipe position after re-render.
      */
     async #onClose() {
+        // Stop a running batch auto-fill, its results can't be shown anymore
+        this.#batchAbortController?.abort();
+
+        // Record manual edits in the revision history
+        for (const state of [this.#mainState, ...this.#altStates, ...this.#tempStates]) {
+            if (state) this.#recordRevision(state, 'manual');
+        }
+
         // Save metadata on close
         await this.#saveAllMetadata();
 
-        // Save character if not in create mode
+        // Save character if not in create mode (other characters than the selected one are saved directly)
         if (menu_type !== 'create') {
-            // Capture current swipe index before save (to restore after re-render)
-            const currentSwipeIndex = chat?.[0]?.swipe_id ?? 0;
+            if (this.#isSelectedCharacter) {
+                await saveCharacterPreservingSwipes();
+            } else if (!await saveGreetingsToCard(this.#chid)) {
+                toastr.error(t`Could not save the greetings of ${this.#character?.name}`);
+            }
+        }
+
+        // Refresh button count
+        updateButtonAppearance(this.#chid);
+    }
+}
 
-            // Get temp greetings data to re-inject after re-render
-            const tempGreetings = getTempGreetings();
-            const hasTempGreetings = tempGreetings.size > 0;
+// ─────────────────────────────────────────────────────────────────────────────
+// Character Saving
+// ─────────────────────────────────────────────────────────────────────────────
 
-            await createOrEditCharacter();
+/**
+ * Saves the currently edited character card and restores the chat's first message afterwards.
+ * Preserves temp greetings, moving them behind the alternates in case those changed, and restores swipe position after ST re-renders the greeting.
+ * @returns {Promise<void>}
+ */
+export async function saveCharacterPreservingSwipes() {
+    // Capture current swipe index before save (to restore after re-render)
+    const currentSwipeIndex = chat?.[0]?.swipe_id ?? 0;
+
+    // Get temp greetings data to re-inject after re-render
+    const tempGreetings = getTempGreetings();
+    const hasTempGreetings = tempGreetings.size > 0;
+    /** @type {Map<number, number>} */
+    let newTempIndices = new Map();
+
+    await createOrEditCharacter();
+
+    // Warn user if chat is tainted — greeting changes won't be reflected in the first message
+    if (chat_metadata?.tainted && chat?.length === 1) {
+        toastr.info(
+            t`The first message was edited, so greeting changes won't be reflected until you start a new chat.`,
+            t`Chat is tainted`,
+        );
+    }
 
-            // Warn user if chat is tainted — greeting changes won't be reflected in the first message
-            if (chat_metadata?.tainted && chat?.length === 1) {
-                toastr.info(
-                    t`The first message was edited, so greeting changes won't be reflected until you start a new chat.`,
-                    t`Chat is tainted`,
-                );
-            }
+    // Re-inject temp greetings into first message swipes after re-render
+    if (hasTempGreetings && chat?.[0]) {
+        const firstMessage = chat[0];
 
-            // Re-inject temp greetings into first message swipes after re-render
-            if (hasTempGreetings && chat?.[0]) {
-                const firstMessage = chat[0];
+        // Ensure swipes array exists
+        if (!Array.isArray(firstMessage.swipes)) {
+            firstMessage.swipes = [firstMessage.mes];
+            firstMessage.swipe_id = 0;
+            firstMessage.swipe_info = [{}];
+        }
 
-                // Ensure swipes array exists
-                if (!Array.isArray(firstMessage.swipes)) {
-                    firstMessage.swipes = [firstMessage.mes];
-                    firstMessage.swipe_id = 0;
-                    firstMessage.swipe_info = [{}];
-                }
+        // Alternates may have been added or removed, so the temp greetings move directly behind them
+        const alternates = characters[this_chid]?.data?.alternate_greetings ?? [];
+        const firstTempIndex = 1 + alternates.length;
+        newTempIndices = await reindexTempGreetings(firstTempIndex, { saveChat: false });
 
-                // Re-add temp greeting swipes at their original indices
-                for (const [swipeIndex, tempData] of tempGreetings) {
-                    // Only add if the swipe index is beyond current swipes (temp greetings)
-                    while (firstMessage.swipes.length <= swipeIndex) {
-                        firstMessage.swipes.push('');
-                        firstMessage.swipe_info.push({});
-                    }
-                    firstMessage.swipes[swipeIndex] = tempData.content;
-                }
-            }
+        // Swipes of the first message are main, alternates, then temps - drop the old temp swipes and append them again
+        firstMessage.swipes.length = Math.min(firstMessage.swipes.length, firstTempIndex);
+        firstMessage.swipe_info = (firstMessage.swipe_info ?? []).slice(0, firstTempIndex);
+        while (firstMessage.swipes.length < firstTempIndex) {
+            firstMessage.swipes.push(alternates[firstMessage.swipes.length - 1]);
+        }
+        while (firstMessage.swipe_info.length < firstTempIndex) {
+            firstMessage.swipe_info.push({});
+        }
 
-            // Restore swipe position after re-render (with small delay for DOM update)
-            if (currentSwipeIndex > 0) {
-                setTimeout(async () => {
-                    const firstMessage = chat?.[0];
-                    if (!firstMessage || !Array.isArray(firstMessage.swipes)) return;
-
-                    // Validate the swipe index is still valid
-                    const maxSwipeIndex = firstMessage.swipes.length - 1;
-                    const targetIndex = Math.min(currentSwipeIndex, maxSwipeIndex);
-                    if (targetIndex > 0) {
-                        await swipe(null, SWIPE_DIRECTION.RIGHT, {
-                            forceMesId: 0,
-                            forceSwipeId: targetIndex,
-                            message: firstMessage,
-                        });
-                    }
-                }, 50);
-            }
+        const reindexedTemps = [...getTempGreetings()].sort(([a], [b]) => a - b);
+        for (const [, tempData] of reindexedTemps) {
+            firstMessage.swipes.push(tempData.content);
+            firstMessage.swipe_info.push({});
         }
+        await saveChatConditional();
+    }
 
-        // Refresh button count
-        updateButtonAppearance(this.#chid);
+    // Restore swipe position after re-render (with small delay for DOM update), following a moved temp greeting
+    const restoreSwipeIndex = newTempIndices.get(currentSwipeIndex) ?? currentSwipeIndex;
+    if (restoreSwipeIndex > 0) {
+        setTimeout(async () => {
+            const firstMessage = chat?.[0];
+            if (!firstMessage || !Array.isArray(firstMessage.swipes)) return;
+
+            // Validate the swipe index is still valid
+            const maxSwipeIndex = firstMessage.swipes.length - 1;
+            const targetIndex = Math.min(restoreSwipeIndex, maxSwipeIndex);
+            if (targetIndex > 0) {
+                await swipe(null, SWIPE_DIRECTION.RIGHT, {
+                    forceMesId: 0,
+                    forceSwipeId: targetIndex,
+                    message: firstMessage,
+                });
+            }
+        }, 50);
     }
 }
 
@@ -0,0 +1,158 @@
+/**
+ * Random greetings for Greeting Tools extension.
+ * Swipes the first message of new chats to a random greeting, or does so on demand from the greeting selector.
+ * Greetings can be picked evenly or by their weight, optionally skipping the most recently used ones.
+ */
+
+import { chat, eventSource, event_types, this_chid } from '../../../../../script.js';
+import { selected_group } from '../../../../group-chats.js';
+import { Popup, POPUP_RESULT, POPUP_TYPE } from '../../../../popup.js';
+import { t } from '../../../../i18n.js';
+import { getGreetingToolsData } from './data.js';
+import { getAllGreetingOptions, getCurrentSwipeId, isGreetingChangeable, switchToGreeting } from './selector.js';
+
+/** @typedef {import('./data.js').RandomGreetingSettings} RandomGreetingSettings */
+/** @typedef {import('./selector.js').GreetingOption} GreetingOption */
+
+/** Set while a chat is created that starts with a chosen greeting, which must not be replaced by a random one */
+let isRandomGreetingSuppressed = false;
+
+/**
+ * Picks a random greeting.
+ * @param {GreetingOption[]} options - The greetings to pick from
+ * @param {RandomGreetingSettings} settings - Random greeting settings of the character
+ * @param {object} [pickOptions]
+ * @param {number} [pickOptions.excludeSwipeIndex] - Swipe index that is not picked, e.g. the current greeting
+ * @returns {GreetingOption | null} The picked greeting, or null if no greeting can be picked
+ */
+export function pickRandomGreeting(options, settings, { excludeSwipeIndex = -1 } = {}) {
+    const recentIds = new Set(options
+        .filter(option => option.usage?.lastUsed)
+        .sort((a, b) => b.usage.lastUsed - a.usage.lastUsed)
+        .slice(0, Math.max(0, settings.excludeRecent))
+        .map(option => option.id));
+
+    const getWeight = (/** @type {GreetingOption} */ option) => settings.weighted ? Math.max(0, option.weight ?? 1) : 1;
+
+    // Greetings with weight 0 are never picked, the other exclusions are relaxed step by step rather than picking nothing
+    const eligible = options.filter(option => getWeight(option) > 0);
+    const withoutCurrent = eligible.filter(option => option.swipeIndex !== excludeSwipeIndex);
+    const candidates = [
+        withoutCurrent.filter(option => !recentIds.has(option.id)),
+        withoutCurrent,
+        eligible,
+    ].find(list => list.length > 0);
+    if (!candidates) return null;
+
+    const totalWeight = candidates.reduce((sum, option) => sum + getWeight(option), 0);
+    let roll = Math.random() * totalWeight;
+    for (const option of candidates) {
+        roll -= getWeight(option);
+        if (roll < 0) return option;
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Switches the first message to a random greeting of the current character, using its random greeting settings.
+ * @param {object} [options]
+ * @param {boolean} [options.excludeCurrent=true] - Never pick the current greeting, unless it is the only one
+ * @returns {Promise<number | null>} Swipe index of the picked greeting, or null if the greeting can't be changed or no greeting can be picked
+ */
+export async function switchToRandomGreeting({ excludeCurrent = true } = {}) {
+    if (this_chid === undefined || !isGreetingChangeable()) return null;
+
+    const metadata = getGreetingToolsData({ chid: this_chid });
+    const picked = pickRandomGreeting(getAllGreetingOptions(), metadata.random, {
+        excludeSwipeIndex: excludeCurrent ? getCurrentSwipeId() : -1,
+    });
+    if (!picked) return null;
+
+    if (picked.swipeIndex !== getCurrentSwipeId()) {
+        await switchToGreeting(picked.swipeIndex);
+    }
+    return picked.swipeIndex;
+}
+
+/**
+ * Shows the random greeting settings of a character.
+ * @param {RandomGreetingSettings} settings - The current settings
+ * @returns {Promise<RandomGreetingSettings | null>} The new settings, or null if cancelled
+ */
+export async function showRandomGreetingSettingsPopup(settings) {
+    const content = document.createElement('div');
+    content.classList.add('flex-container', 'flexFlowColumn', 'gap5', 'justifyLeft');
+    content.innerHTML = `
+        <h3>${t`Random Greeting`}</h3>
+        <p>${t`The dice button in the chat's greeting selector switches to a random greeting. These settings apply to it as well.`}</p>
+        <label class="checkbox_label">
+            <input type="checkbox" class="greeting-tools-random-on-new-chat">
+            <span>${t`Start new chats with a random greeting`}</span>
+        </label>
+        <label class="checkbox_label" title="${t`Set the weight of a greeting in its edit dialog. Greetings with weight 0 are never picked.`}">
+            <input type="checkbox" class="greeting-tools-random-weighted">
+            <span>${t`Pick greetings by their weight`}</span>
+        </label>
+        <label class="flex-container alignItemsCenter gap5px">
+            <span>${t`Skip the most recently used`}</span>
+            <input type="number" class="text_pole greeting-tools-random-exclude-recent" min="0" step="1">
+            <span>${t`greetings`}</span>
+        </label>
+    `;
+
+    const onNewChatInput = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-random-on-new-chat'));
+    const weightedInput = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-random-weighted'));
+    const excludeRecentInput = /** @type {HTMLInputElement} */ (content.querySelector('.greeting-tools-random-exclude-recent'));
+    onNewChatInput.checked = settings.onNewChat;
+    weightedInput.checked = settings.weighted;
+    excludeRecentInput.value = String(settings.excludeRecent);
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: t`Save`,
+        cancelButton: t`Cancel`,
+    });
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+
+    return {
+        onNewChat: onNewChatInput.checked,
+        weighted: weightedInput.checked,
+        excludeRecent: Math.max(0, Math.floor(Number(excludeRecentInput.value) || 0)),
+    };
+}
+
+/**
+ * Runs a callback that creates a chat, without switching that chat to a random greeting.
+ * @template T
+ * @param {() => Promise<T>} callback - Creates the chat
+ * @returns {Promise<T>} The result of the callback
+ */
+export async function withoutRandomGreeting(callback) {
+    isRandomGreetingSuppressed = true;
+    try {
+        return await callback();
+    } finally {
+        isRandomGreetingSuppressed = false;
+    }
+}
+
+/**
+ * Handles newly created chats - switches to a random greeting if enabled for the character.
+ */
+function onChatCreated() {
+    if (this_chid === undefined || selected_group || isRandomGreetingSuppressed) return;
+    if (!getGreetingToolsData({ chid: this_chid }).random.onNewChat) return;
+
+    // Wait for the first message to be rendered, like the greeting selector does
+    setTimeout(async () => {
+        if (chat?.length !== 1) return;
+        await switchToRandomGreeting({ excludeCurrent: false });
+    }, 100);
+}
+
+/**
+ * Initializes random greetings for new chats.
+ */
+export function initRandomGreeting() {
+    eventSource.on(event_types.CHAT_CREATED, onChatCreated);
+}
@@ -1,13 +1,19 @@
 import { characters, chat, eventSource, event_types, swipe, this_chid } from '../../../../../script.js';
 import { SWIPE_DIRECTION } from '../../../../constants.js';
 import { renderExtensionTemplateAsync } from '../../../../extensions.js';
+import { selected_group } from '../../../../group-chats.js';
 import { t } from '../../../../i18n.js';
 import { escapeHtml, getStringHash } from '../../../../utils.js';
 import { performFuzzySearch } from '../../../../power-user.js';
 import { EXTENSION_NAME } from '../index.js';
-import { findGreetingMetadata, getGreetingToolsData, saveGreetingToolsData, createTempMarker, updateButtonAppearance, getTempGreetings, addTempGreeting, removeTempGreeting } from './data.js';
-import { openGreetingToolsPopup } from './popup.js';
+import { addAlternateGreeting, findGreetingMetadata, findGreetingUsage, getGreetingToolsData, getStartGreeting, saveGreetingToolsData, createTempMarker, createTagChip, updateButtonAppearance, getTempGreetings, addTempGreeting, removeTempGreeting, reindexTempGreetings, formatGreetingUsage, hasAllTags, normalizeGreetingTags, parseTagFilter } from './data.js';
+import { openGreetingToolsPopup, saveCharacterPreservingSwipes } from './popup.js';
 import { generateGreetingFlow } from './generator.js';
+import { switchToRandomGreeting } from './random-greeting.js';
+import { injectGroupGreetingSelectors, refreshGroupGreetingSelectors } from './group-selector.js';
+import { promptRestartWithGreeting } from './chat-restart.js';
+import { applyGreetingOverrides } from './greeting-overrides.js';
+import { emitGreetingEvent, greeting_event_types } from './events.js';
 
 /**
  * @typedef {Object} GreetingOption
@@ -15,8 +21,12 @@ import { generateGreetingFlow } from './generator.js';
  * @property {string} content - The greeting text content
  * @property {string} title - Display title (from metadata or default)
  * @property {string} description - Description (from metadata or empty)
+ * @property {string[]} tags - Tags (from metadata or empty)
  * @property {string} id - Unique greeting ID (from metadata or generated)
  * @property {boolean} [isTemp] - Whether this is a temporary greeting
+ * @property {boolean} [isGroupOnly] - Whether this is a group-only greeting of the card
+ * @property {import('./data.js').GreetingUsage} [usage] - Usage statistics (from metadata)
+ * @property {number} [weight] - Weight when picking a random greeting (from metadata)
  */
 
 /** @type {HTMLElement | null} */
@@ -25,6 +35,9 @@ let selectorTemplate = null;
 /** @type {GreetingOption[]} */
 let cachedOptions = [];
 
+/** Query for the greeting selector of single-character chats, as group chats have one per greeting message */
+const SOLO_SELECTOR_QUERY = '.greeting-selector:not(.greeting-selector-group)';
+
 /** @type {boolean} Flag to prevent concurrent injection attempts */
 let isInjecting = false;
 
@@ -35,6 +48,9 @@ let isInjecting = false;
 function isFirstMessageGreeting() {
     if (!chat || chat.length === 0) return false;
 
+    // Group chats have one greeting per member, handled by the group selectors
+    if (selected_group) return false;
+
     const firstMessage = chat[0];
 
     // Must be a character message (not user)
@@ -47,7 +63,7 @@ function isFirstMessageGreeting() {
  * Checks if the greeting can be changed (only when chat has exactly one message).
  * @returns {boolean}
  */
-function isGreetingChangeable() {
+export function isGreetingChangeable() {
     if (!isFirstMessageGreeting()) return false;
 
     // Only changeable if there's exactly one message
@@ -67,14 +83,25 @@ function isGreetingChangeable() {
 }
 
 /**
- * Gets all available greeting options for the current character.
+ * Checks if temporary greetings can be added to the current chat (only before the first reply).
+ * @returns {boolean}
+ */
+export function canAddTempGreeting() {
+    return isFirstMessageGreeting() && chat.length === 1;
+}
+
+/**
+ * Gets all available greeting options for a character.
+ * @param {object} [options]
+ * @param {string} [options.chid] - Character ID (defaults to the current character)
+ * @param {boolean} [options.includeGroupOnly=false] - Also include the card's group-only greetings, after the alternate greetings
  * @returns {GreetingOption[]}
  */
-function getGreetingOptions() {
-    const character = characters[this_chid];
+export function getGreetingOptions({ chid = this_chid, includeGroupOnly = false } = {}) {
+    const character = characters[chid];
     if (!character) return [];
 
-    const metadata = getGreetingToolsData({ chid: this_chid });
+    const metadata = getGreetingToolsData({ chid });
     const options = [];
 
     // Main greeting (swipe index 0)
@@ -86,7 +113,10 @@ function getGreetingOptions() {
         content: mainContent,
         title: mainMeta.title || t`Main Greeting`,
         description: mainMeta.description || '',
+        tags: normalizeGreetingTags(mainMeta.tags),
         id: mainMeta.id || 'main',
+        usage: findGreetingUsage(metadata, mainMeta.id, mainContent),
+        weight: mainMeta.weight,
     });
 
     // Alternate greetings (swipe index 1+)
@@ -101,18 +131,70 @@ function getGreetingOptions() {
             content,
             title: matchedMeta?.title || `${t`Alternate Greeting`} #${i + 1}`,
             description: matchedMeta?.description || '',
+            tags: normalizeGreetingTags(matchedMeta?.tags),
             id: matchedMeta?.id || `alt_${i}`,
+            usage: findGreetingUsage(metadata, matchedMeta?.id, content),
+            weight: matchedMeta?.weight,
         });
     }
 
+    // Group-only greetings (card V3), which have no metadata of their own
+    if (includeGroupOnly) {
+        const groupGreetings = character.data?.group_only_greetings ?? [];
+        for (let i = 0; i < groupGreetings.length; i++) {
+            options.push({
+                swipeIndex: altGreetings.length + i + 1,
+                content: groupGreetings[i],
+                title: `${t`Group Greeting`} #${i + 1}`,
+                description: '',
+                tags: [],
+                id: `group_${i}`,
+                isGroupOnly: true,
+            });
+        }
+    }
+
     return options;
 }
 
+/**
+ * Gets all greeting options including temp greetings of the current chat, sorted by swipe index.
+ * @param {object} [options]
+ * @param {boolean} [options.onlyValidSwipes=true] - Filter out options whose swipe index is not present on the first message (prevents stale entries on tainted chats)
+ * @returns {GreetingOption[]}
+ */
+export function getAllGreetingOptions({ onlyValidSwipes = true } = {}) {
+    const options = getGreetingOptions();
+    const tempGreetings = getTempGreetings();
+
+    // Build combined options (saved + temp greetings)
+    const allOptions = [...options];
+    for (const [swipeIndex, tempData] of tempGreetings) {
+        allOptions.push({
+            swipeIndex,
+            content: tempData.content,
+            title: tempData.title || t`Temporary Greeting`,
+            description: tempData.description,
+            tags: normalizeGreetingTags(tempData.tags),
+            id: tempData.id,
+            isTemp: true,
+        });
+    }
+    // Sort by swipe index
+    allOptions.sort((a, b) => a.swipeIndex - b.swipeIndex);
+
+    if (!onlyValidSwipes) return allOptions;
+
+    // Filter to only include options with valid swipe indices
+    const maxSwipeIndex = (chat?.[0]?.swipes?.length ?? allOptions.length) - 1;
+    return allOptions.filter(opt => opt.swipeIndex <= maxSwipeIndex);
+}
+
 /**
  * Gets the current swipe index for the first message.
  * @returns {number}
  */
-function getCurrentSwipeId() {
+export function getCurrentSwipeId() {
     if (!chat || chat.length === 0) return 0;
     return chat[0].swipe_id ?? 0;
 }
@@ -146,7 +228,7 @@ function getContentPreview(content) {
  * @param {GreetingOption} option
  * @returns {HTMLElement} DOM element
  */
-function createOptionElement(option) {
+export function createOptionElement(option) {
     const wrapper = document.createElement('div');
     wrapper.classList.add('greeting-selector-option');
 
@@ -170,6 +252,21 @@ function createOptionElement(option) {
     descContainer.innerHTML = descHtml;
     wrapper.appendChild(descContainer);
 
+    if (option.tags.length > 0) {
+        const tagsDiv = document.createElement('div');
+        tagsDiv.classList.add('greeting-tools-tags', 'flex-container', 'gap5px');
+        tagsDiv.append(...option.tags.map(tag => createTagChip(tag)));
+        wrapper.appendChild(tagsDiv);
+    }
+
+    const usageText = formatGreetingUsage(option.usage);
+    if (usageText) {
+        const usageDiv = document.createElement('div');
+        usageDiv.classList.add('greeting-selector-option-usage');
+        usageDiv.textContent = usageText;
+        wrapper.appendChild(usageDiv);
+    }
+
     return wrapper;
 }
 
@@ -204,6 +301,12 @@ export async function switchToGreeting(swipeIndex) {
         forceSwipeId: swipeIndex,
         message: firstMessage,
     });
+
+    // Scenario and author's note of the previous greeting make way for those of this one
+    applyGreetingOverrides(swipeIndex);
+
+    const option = findOptionBySwipeIndex(getAllGreetingOptions(), swipeIndex);
+    await emitGreetingEvent(greeting_event_types.GREETING_SWITCHED, { greetingId: option?.id, swipeIndex, chid: this_chid });
 }
 
 /**
@@ -223,6 +326,36 @@ function toggleGreetingDropdown(selector, open) {
     }
 }
 
+/**
+ * Creates a select2 matcher for greeting options, which uses fuzzy search.
+ * Words starting with '#' filter by tag.
+ * @param {() => GreetingOption[]} getOptions - Gets the options of the dropdown
+ * @returns {(params: { term?: string }, data: any) => any} The matcher
+ */
+export function createGreetingMatcher(getOptions) {
+    return (params, data) => {
+        if (!params.term || params.term.trim() === '') {
+            return data;
+        }
+        // Words starting with '#' filter by tag
+        const { tags, text } = parseTagFilter(params.term);
+        const taggedOptions = getOptions().filter(opt => hasAllTags(opt.tags, tags));
+        if (!text) {
+            return taggedOptions.some(opt => data && 'id' in data && opt.swipeIndex === Number(data.id)) ? data : null;
+        }
+        const searchWeights = [
+            { name: 'title', weight: 10 },
+            { name: 'tags', weight: 5 },
+            { name: 'description', weight: 5 },
+            { name: 'content', weight: 2 },
+        ];
+        // Fuzzy search using performFuzzySearch
+        const results = performFuzzySearch('greetings', taggedOptions, searchWeights, text);
+        const match = results.find(r => data && 'id' in data && r.item.swipeIndex === Number(data.id));
+        return match ? data : null;
+    };
+}
+
 /**
  * Updates the greeting selector UI with current state.
  * @param {HTMLElement} selector
@@ -235,13 +368,25 @@ function updateSelectorUI(selector, { rebuildDropdown = false } = {}) {
     const isChangeable = isGreetingChangeable();
     const currentOption = findOptionBySwipeIndex(options, currentIndex);
     const tempGreetings = getTempGreetings();
-    const isTempGreeting = tempGreetings.has(currentIndex);
+    let isTempGreeting = tempGreetings.has(currentIndex);
     const tempData = tempGreetings.get(currentIndex);
+    let title = isTempGreeting ? tempData?.title : currentOption?.title;
+    let description = isTempGreeting ? tempData?.description : currentOption?.description;
+
+    // Once the chat continued, show the greeting it started with, even if the card was changed since
+    const startGreeting = isChangeable ? null : getStartGreeting();
+    let startGreetingChanged = false;
+    if (startGreeting) {
+        const startOption = startGreeting.isTemp ? null : options.find(opt => opt.id === startGreeting.id);
+        startGreetingChanged = !startGreeting.isTemp && (!startOption || getStringHash(startOption.content) !== startGreeting.contentHash);
+        isTempGreeting = !!startGreeting.isTemp;
+        title = startGreeting.title || startOption?.title || (startGreeting.swipeIndex === 0 ? t`Main Greeting` : `${t`Alternate Greeting`} #${startGreeting.swipeIndex}`);
+        description = isTempGreeting ? tempData?.description : startOption?.description;
+    }
 
     // Update title display (use temp data if available, with TEMP marker for temp greetings)
     const titleEl = selector.querySelector('.greeting-selector-title-display');
     if (titleEl) {
-        const title = isTempGreeting ? tempData?.title : currentOption?.title;
         titleEl.innerHTML = ''; // Clear existing content
 
         if (isTempGreeting) {
@@ -255,18 +400,23 @@ function updateSelectorUI(selector, { rebuildDropdown = false } = {}) {
         }
     }
 
+    // Flag when the greeting the chat started with was changed on the card since
+    const changedEl = selector.querySelector('.greeting-selector-changed');
+    if (changedEl) {
+        changedEl.classList.toggle('displayNone', !startGreetingChanged);
+    }
+
     // Update description (use temp data if available)
     const descEl = selector.querySelector('.greeting-selector-description');
     if (descEl) {
-        const description = isTempGreeting ? tempData?.description : currentOption?.description;
         descEl.textContent = description || '';
     }
 
     // Toggle readonly mode (hide buttons when not changeable)
     selector.classList.toggle('greeting-selector-readonly', !isChangeable);
 
-    // Close dropdown when switching to readonly
-    if (!isChangeable) {
+    // Close dropdown when switching to readonly (it is reopened via the restart button)
+    if (!isChangeable && !selector.classList.contains('greeting-selector-restarting')) {
         toggleGreetingDropdown(selector, false);
     }
 
@@ -284,95 +434,74 @@ function updateSelectorUI(selector, { rebuildDropdown = false } = {}) {
         saveTempBtn.classList.toggle('displayNone', !isTempGreeting);
     }
 
-    // Build combined options (saved + temp greetings)
-    const allOptions = [...options];
-    for (const [swipeIndex, tempData] of tempGreetings) {
-        allOptions.push({
-            swipeIndex,
-            content: tempData.content,
-            title: tempData.title || t`Temporary Greeting`,
-            description: tempData.description,
-            id: tempData.id,
-            isTemp: true,
-        });
-    }
-    // Sort by swipe index
-    allOptions.sort((a, b) => a.swipeIndex - b.swipeIndex);
-
-    // Filter to only include options with valid swipe indices (prevents stale entries on tainted chats)
-    const maxSwipeIndex = (chat?.[0]?.swipes?.length ?? allOptions.length) - 1;
-    const validOptions = allOptions.filter(opt => opt.swipeIndex <= maxSwipeIndex);
+    // Combined options (saved + temp greetings), restricted to valid swipe indices
+    const validOptions = getAllGreetingOptions();
 
     // Cache valid options for fuzzy search
     cachedOptions = validOptions;
 
-    // Setup dropdown if changeable
-    if (isChangeable) {
-        const dropdown = selector.querySelector('.greeting-selector-dropdown');
-        if (dropdown instanceof HTMLSelectElement) {
-            const $dropdown = $(dropdown);
-            const needsInit = !$dropdown.data('select2');
-
-            // Rebuild options if needed
-            if (needsInit || rebuildDropdown) {
-                dropdown.innerHTML = '';
-                for (const opt of validOptions) {
-                    const optionEl = document.createElement('option');
-                    optionEl.value = String(opt.swipeIndex);
-                    optionEl.textContent = opt.title;
-                    optionEl.selected = opt.swipeIndex === currentIndex;
-                    dropdown.appendChild(optionEl);
+    // Setup dropdown - when readonly, choosing a greeting starts a new chat or branch with it
+    const dropdown = selector.querySelector('.greeting-selector-dropdown');
+    if (!(dropdown instanceof HTMLSelectElement)) return;
+
+    const $dropdown = $(dropdown);
+    const needsInit = !$dropdown.data('select2');
+
+    // Rebuild options if needed
+    if (needsInit || rebuildDropdown) {
+        dropdown.innerHTML = '';
+        for (const opt of validOptions) {
+            const optionEl = document.createElement('option');
+            optionEl.value = String(opt.swipeIndex);
+            optionEl.textContent = opt.title;
+            optionEl.selected = opt.swipeIndex === currentIndex;
+            dropdown.appendChild(optionEl);
+        }
+    }
+
+    if (needsInit) {
+        $dropdown.select2({
+            width: '100%',
+            dropdownAutoWidth: true,
+            matcher: createGreetingMatcher(() => cachedOptions),
+            templateResult: (state) => {
+                if (!state.id) return state.text;
+                const opt = cachedOptions.find(o => o.swipeIndex === Number(state.id));
+                if (!opt) return state.text;
+                const element = createOptionElement(opt);
+                return $(element);
+            },
+            templateSelection: (state) => state.text,
+        });
+
+        // Handle selection change
+        // @ts-ignore
+        $dropdown.on('select2:select', async (e) => {
+            const selectedIndex = Number(e.params.data.id);
+            const actualCurrentIndex = getCurrentSwipeId();
+            toggleGreetingDropdown(selector, false);
+            if (!isGreetingChangeable()) {
+                const selectedOption = findOptionBySwipeIndex(cachedOptions, selectedIndex);
+                const restarted = selectedOption ? await promptRestartWithGreeting(selectedOption) : false;
+                if (!restarted) {
+                    // Show the greeting of the chat again instead of the one picked for the restart
+                    $dropdown.val(String(getCurrentSwipeId())).trigger('change.select2');
                 }
+                return;
             }
-
-            if (needsInit) {
-                $dropdown.select2({
-                    width: '100%',
-                    dropdownAutoWidth: true,
-                    matcher: (params, data) => {
-                        if (!params.term || params.term.trim() === '') {
-                            return data;
-                        }
-                        const searchWeights = [
-                            { name: 'title', weight: 10 },
-                            { name: 'description', weight: 5 },
-                            { name: 'content', weight: 2 },
-                        ];
-                        // Fuzzy search using performFuzzySearch
-                        const results = performFuzzySearch('greetings', cachedOptions, searchWeights, params.term);
-                        const match = results.find(r => data && 'id' in data && r.item.swipeIndex === Number(data.id));
-                        return match ? data : null;
-                    },
-                    templateResult: (state) => {
-                        if (!state.id) return state.text;
-                        const opt = cachedOptions.find(o => o.swipeIndex === Number(state.id));
-                        if (!opt) return state.text;
-                        const element = createOptionElement(opt);
-                        return $(element);
-                    },
-                    templateSelection: (state) => state.text,
-                });
-
-                // Handle selection change
-                // @ts-ignore
-                $dropdown.on('select2:select', async (e) => {
-                    const selectedIndex = Number(e.params.data.id);
-                    const actualCurrentIndex = getCurrentSwipeId();
-                    toggleGreetingDropdown(selector, false);
-                    if (selectedIndex !== actualCurrentIndex) {
-                        await switchToGreeting(selectedIndex);
-                    }
-                });
-
-                // Close dropdown on blur/close
-                $dropdown.on('select2:close', () => {
-                    toggleGreetingDropdown(selector, false);
-                });
-            } else {
-                // Update selected value
-                $dropdown.val(String(currentIndex)).trigger('change.select2');
+            if (selectedIndex !== actualCurrentIndex) {
+                await switchToGreeting(selectedIndex);
             }
-        }
+        });
+
+        // Close dropdown on blur/close
+        $dropdown.on('select2:close', () => {
+            toggleGreetingDropdown(selector, false);
+            selector.classList.remove('greeting-selector-restarting');
+        });
+    } else {
+        // Update selected value
+        $dropdown.val(String(currentIndex)).trigger('change.select2');
     }
 }
 
@@ -380,6 +509,13 @@ function updateSelectorUI(selector, { rebuildDropdown = false } = {}) {
  * Injects the greeting selector into the first message.
  */
 async function injectGreetingSelector() {
+    // Group chats get a selector on each member's greeting instead
+    if (selected_group) {
+        removeGreetingSelector();
+        await injectGroupGreetingSelectors();
+        return;
+    }
+
     // Only inject if we have a character selected and there's a greeting
     if (this_chid === undefined || !isFirstMessageGreeting()) {
         removeGreetingSelector();
@@ -478,6 +614,27 @@ function setupSelectorEventHandlers(selector) {
         });
     }
 
+    // Restart button - only shown once the chat continued, opens the dropdown to start a new chat or branch
+    const restartBtn = selector.querySelector('.greeting-selector-restart-btn');
+    if (restartBtn) {
+        restartBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            selector.classList.add('greeting-selector-restarting');
+            toggleGreetingDropdown(selector, true);
+        });
+    }
+
+    // Random button - switches to a random greeting
+    const randomBtn = selector.querySelector('.greeting-selector-random-btn');
+    if (randomBtn) {
+        randomBtn.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            await switchToRandomGreeting();
+        });
+    }
+
     // Edit button - opens the greeting tools popup
     const editBtn = selector.querySelector('.greeting-selector-edit-btn');
     if (editBtn) {
@@ -515,62 +672,127 @@ function setupSelectorEventHandlers(selector) {
 /**
  * Handles generating a temporary greeting and adding it as a swipe.
  * Uses the unified generateGreetingFlow for the generation logic.
+ * When several variants are kept, each can be added as a temporary greeting or saved as an alternate greeting.
  * @param {HTMLElement} selector
  */
 async function handleGenerateTempGreeting(selector) {
     // Use unified generation flow
-    const generated = await generateGreetingFlow({
+    const generatedGreetings = await generateGreetingFlow({
         popupTitle: t`Generate Temporary Greeting`,
         defaultTitle: t`Temporary Greeting`,
         loaderMessage: t`Generating temporary greeting...`,
+        defaultTarget: 'temp',
+        allowTemp: true,
     });
 
-    if (!generated) return;
+    if (generatedGreetings.length === 0) return;
 
     try {
-        // Add as a new swipe to the first message
-        const firstMessage = chat[0];
-        if (!firstMessage) return;
-
-        // Ensure swipes array exists
-        if (!Array.isArray(firstMessage.swipes)) {
-            firstMessage.swipes = [firstMessage.mes];
-            firstMessage.swipe_id = 0;
-            firstMessage.swipe_info = [{}];
+        // Save alternates first, so the temp swipes are appended after them
+        const alternates = generatedGreetings.filter(generated => generated.target === 'alternate');
+        for (const generated of alternates) {
+            await addAlternateGreeting(generated.content, {
+                id: generated.id,
+                title: generated.title,
+                description: generated.description,
+            });
+        }
+        if (alternates.length > 0) {
+            await saveCharacterPreservingSwipes();
         }
 
-        // Add new swipe
-        const newSwipeIndex = firstMessage.swipes.length;
-        firstMessage.swipes.push(generated.content);
-        firstMessage.swipe_info.push({});
-
-        // Track as temp greeting (persisted to chat_metadata)
-        await addTempGreeting(newSwipeIndex, {
-            id: generated.id,
-            title: generated.title,
-            description: generated.description,
-            content: generated.content,
-            swipeIndex: newSwipeIndex,
-        });
-
-        // Use swipe() to switch to the new swipe - this handles proper message rendering
-        await swipe(null, SWIPE_DIRECTION.RIGHT, {
-            message: firstMessage,
-            forceMesId: 0,
-            forceSwipeId: newSwipeIndex,
-        });
+        for (const generated of generatedGreetings.filter(generated => generated.target === 'temp')) {
+            await addTempGreetingSwipe(generated);
+        }
 
         // Update UI
         updateSelectorUI(selector, { rebuildDropdown: true });
-        updateButtonAppearance(this_chid);
 
-        toastr.success(t`Temporary greeting generated`);
+        toastr.success(generatedGreetings.length > 1 ? t`${generatedGreetings.length} greetings generated` : t`Temporary greeting generated`);
     } catch (error) {
         console.error('[GreetingTools] Failed to add temp greeting:', error);
         toastr.error(t`Failed to add greeting`);
     }
 }
 
+/**
+ * Adds a generated greeting as a temporary swipe on the first message and switches to it.
+ * @param {import('./generator.js').GeneratedGreeting} generated - The generated greeting
+ * @returns {Promise<number | null>} The swipe index of the new temp greeting, or null if there is no first message
+ */
+export async function addTempGreetingSwipe(generated) {
+    // Add as a new swipe to the first message
+    const firstMessage = chat[0];
+    if (!firstMessage) return null;
+
+    // Ensure swipes array exists
+    if (!Array.isArray(firstMessage.swipes)) {
+        firstMessage.swipes = [firstMessage.mes];
+        firstMessage.swipe_id = 0;
+        firstMessage.swipe_info = [{}];
+    }
+
+    // Add new swipe
+    const newSwipeIndex = firstMessage.swipes.length;
+    firstMessage.swipes.push(generated.content);
+    firstMessage.swipe_info.push({});
+
+    // Track as temp greeting (persisted to chat_metadata)
+    await addTempGreeting(newSwipeIndex, {
+        id: generated.id,
+        title: generated.title,
+        description: generated.description,
+        content: generated.content,
+        swipeIndex: newSwipeIndex,
+    });
+
+    // Use swipe() to switch to the new swipe - this handles proper message rendering
+    await swipe(null, SWIPE_DIRECTION.RIGHT, {
+        message: firstMessage,
+        forceMesId: 0,
+        forceSwipeId: newSwipeIndex,
+    });
+
+    updateButtonAppearance(this_chid);
+
+    return newSwipeIndex;
+}
+
+/**
+ * Deletes a temporary greeting, removing its swipe from the first message.
+ * The temp greetings behind it move down one swipe index. If it was shown, the first message switches to the main greeting.
+ * @param {number} swipeIndex - Swipe index of the temp greeting
+ * @returns {Promise<boolean>} Whether the temp greeting was deleted
+ */
+export async function removeTempGreetingSwipe(swipeIndex) {
+    if (!getTempGreetings().has(swipeIndex)) return false;
+
+    const firstMessage = chat[0];
+    const wasShown = getCurrentSwipeId() === swipeIndex;
+    if (Array.isArray(firstMessage?.swipes) && swipeIndex < firstMessage.swipes.length) {
+        firstMessage.swipes.splice(swipeIndex, 1);
+        firstMessage.swipe_info?.splice(swipeIndex, 1);
+        if (!wasShown && firstMessage.swipe_id > swipeIndex) {
+            firstMessage.swipe_id--;
+        }
+    }
+
+    await removeTempGreeting(swipeIndex);
+    const alternateCount = characters[this_chid]?.data?.alternate_greetings?.length ?? 0;
+    await reindexTempGreetings(1 + alternateCount);
+
+    if (wasShown && firstMessage) {
+        await swipe(null, SWIPE_DIRECTION.RIGHT, {
+            message: firstMessage,
+            forceMesId: 0,
+            forceSwipeId: 0,
+        });
+    }
+
+    updateButtonAppearance(this_chid);
+    return true;
+}
+
 /**
  * Handles saving a temporary greeting to the character's alternate greetings.
  * @param {HTMLElement} selector
@@ -613,15 +835,29 @@ async function handleSaveTempGreeting(selector) {
         id: tempData.id,
         title: tempData.title,
         description: tempData.description,
+        tags: normalizeGreetingTags(tempData.tags),
         contentHash: getStringHash(tempData.content),
     };
     metadata.indexMap[newIndex] = tempData.id;
 
     // Save metadata
     saveGreetingToolsData(metadata, { chid: this_chid });
+    await emitGreetingEvent(greeting_event_types.GREETING_CREATED, { greetingId: tempData.id, swipeIndex: newIndex + 1, chid: this_chid });
 
     // Remove from temp tracking (persisted)
-    await removeTempGreeting(currentSwipeId);
+    await removeTempGreeting(currentSwipeId, { saved: true });
+
+    // The saved greeting is now the last alternate, so its swipe moves there and the other temp greetings behind it
+    const firstMessage = chat[0];
+    const alternateSwipeIndex = newIndex + 1;
+    if (Array.isArray(firstMessage?.swipes) && currentSwipeId !== alternateSwipeIndex) {
+        const [swipeText] = firstMessage.swipes.splice(currentSwipeId, 1);
+        const [swipeInfo] = firstMessage.swipe_info?.splice(currentSwipeId, 1) ?? [];
+        firstMessage.swipes.splice(alternateSwipeIndex, 0, swipeText);
+        firstMessage.swipe_info?.splice(alternateSwipeIndex, 0, swipeInfo ?? {});
+        firstMessage.swipe_id = alternateSwipeIndex;
+    }
+    await reindexTempGreetings(alternateSwipeIndex + 1);
 
     // Save character
     // @ts-ignore
@@ -641,7 +877,7 @@ async function handleSaveTempGreeting(selector) {
  * Removes the greeting selector from the DOM.
  */
 function removeGreetingSelector() {
-    const selector = /** @type {HTMLElement|null} */ (document.querySelector('.greeting-selector'));
+    const selector = /** @type {HTMLElement|null} */ (document.querySelector(SOLO_SELECTOR_QUERY));
     if (selector) {
         // Destroy select2 if initialized
         const dropdown = selector.querySelector('.greeting-selector-dropdown');
@@ -652,6 +888,22 @@ function removeGreetingSelector() {
     }
 }
 
+/**
+ * Refreshes the greeting selector in the current chat, if present.
+ * Used after greeting data was changed outside of the selector (e.g. via slash commands).
+ */
+export function refreshGreetingSelector() {
+    if (selected_group) {
+        refreshGroupGreetingSelectors();
+        return;
+    }
+
+    const selector = /** @type {HTMLElement|null} */ (document.querySelector(SOLO_SELECTOR_QUERY));
+    if (selector) {
+        updateSelectorUI(selector, { rebuildDropdown: true });
+    }
+}
+
 /**
  * Handles chat change event.
  */
@@ -666,9 +918,14 @@ async function onChatChanged() {
  * @param {number} messageId
  */
 function onAnyMessageRendered(messageId) {
+    if (selected_group) {
+        refreshGroupGreetingSelectors();
+        return;
+    }
+
     // When any message beyond the first is rendered, update UI to hide buttons
     if (messageId > 0) {
-        const selector = /** @type {HTMLElement|null} */ (document.querySelector('.greeting-selector'));
+        const selector = /** @type {HTMLElement|null} */ (document.querySelector(SOLO_SELECTOR_QUERY));
         if (selector) {
             updateSelectorUI(selector);
         }
@@ -680,7 +937,7 @@ function onAnyMessageRendered(messageId) {
  */
 async function onMessageSwiped() {
     // Update the selector UI when first message is swiped
-    const selector = /** @type {HTMLElement|null} */ (document.querySelector('.greeting-selector'));
+    const selector = /** @type {HTMLElement|null} */ (document.querySelector(SOLO_SELECTOR_QUERY));
     if (selector) {
         updateSelectorUI(selector);
     }
@@ -691,6 +948,12 @@ async function onMessageSwiped() {
  * @param {number} messageId
  */
 async function onCharacterMessageRendered(messageId) {
+    // In group chats, any member's message can be one of the greetings
+    if (selected_group) {
+        await injectGroupGreetingSelectors();
+        return;
+    }
+
     // Only care about first message
     if (messageId === 0) {
         await injectGreetingSelector();
@@ -6,21 +6,53 @@
 import { saveSettingsDebounced } from '../../../../../script.js';
 import { extension_settings, renderExtensionTemplateAsync } from '../../../../extensions.js';
 import { t } from '../../../../i18n.js';
+import { Popup, POPUP_TYPE, POPUP_RESULT } from '../../../../popup.js';
+import { escapeHtml } from '../../../../utils.js';
 import { EXTENSION_KEY, EXTENSION_NAME } from '../index.js';
-import { DEFAULT_GENERATE_SYSTEM_PROMPT, DEFAULT_GENERATE_GREETING_SYSTEM_PROMPT, DEFAULT_GENERATION_PROMPT_WITH_THEME, DEFAULT_GENERATION_PROMPT_WITHOUT_THEME } from './default-prompts.js';
+import { runCleanupFlow } from './cleanup.js';
+import { openGreetingLibrary } from './library.js';
+import { DEFAULT_GENERATE_SYSTEM_PROMPT, DEFAULT_GENERATE_GREETING_SYSTEM_PROMPT, DEFAULT_GENERATION_PROMPT_WITH_THEME, DEFAULT_GENERATION_PROMPT_WITHOUT_THEME, DEFAULT_REWRITE_GREETING_SYSTEM_PROMPT, PREVIOUS_DEFAULT_PROMPTS } from './default-prompts.js';
+import { diffText, renderDiffHtml } from './diff.js';
+
+/**
+ * @typedef {'short' | 'medium' | 'long' | 'custom'} GreetingLengthPreset
+ */
+
+/**
+ * @typedef {Object} WordRange
+ * @property {number} min - Minimum word count
+ * @property {number} max - Maximum word count
+ */
+
+/** @readonly @type {Readonly<{ [preset: string]: WordRange }>} Word ranges of the greeting length presets */
+export const GREETING_LENGTH_PRESETS = Object.freeze({
+    short: { min: 50, max: 150 },
+    medium: { min: 150, max: 300 },
+    long: { min: 300, max: 600 },
+});
 
 /** @readonly Default settings values */
 const defaultSettings = {
+    /** @type {string|null} Extension version the settings were last used with */
+    extensionVersion: null,
     collapseByDefault: false,
     replaceNamesWithMacros: true,
+    /** @type {GreetingLengthPreset} */
+    greetingLength: 'medium',
+    greetingLengthMin: GREETING_LENGTH_PRESETS.medium.min,
+    greetingLengthMax: GREETING_LENGTH_PRESETS.medium.max,
     generateSystemPrompt: DEFAULT_GENERATE_SYSTEM_PROMPT,
     generateGreetingSystemPrompt: DEFAULT_GENERATE_GREETING_SYSTEM_PROMPT,
     generationPromptWithTheme: DEFAULT_GENERATION_PROMPT_WITH_THEME,
     generationPromptWithoutTheme: DEFAULT_GENERATION_PROMPT_WITHOUT_THEME,
+    rewriteGreetingSystemPrompt: DEFAULT_REWRITE_GREETING_SYSTEM_PROMPT,
 };
 
 let uiInjected = false;
 
+/** Whether no settings existed before this session, meaning the extension was just installed */
+let isFreshInstall = false;
+
 /**
  * Ensures extension settings exist with default values.
  * @returns {typeof defaultSettings}
@@ -38,6 +70,24 @@ function ensureSettings() {
     return settings;
 }
 
+/**
+ * Resolves the word range for a greeting length preset.
+ * @param {GreetingLengthPreset} preset - The length preset
+ * @param {Partial<WordRange>} [customRange] - Range to use for the 'custom' preset (defaults to the range from settings)
+ * @returns {WordRange} The word range, with min and max sanitized
+ */
+export function getGreetingLengthRange(preset, customRange = null) {
+    if (preset !== 'custom') {
+        return GREETING_LENGTH_PRESETS[preset] ?? GREETING_LENGTH_PRESETS.medium;
+    }
+
+    const settings = ensureSettings();
+    const range = customRange ?? { min: settings.greetingLengthMin, max: settings.greetingLengthMax };
+    const min = Math.max(1, Math.round(Number(range.min)) || 1);
+    const max = Math.max(min, Math.round(Number(range.max)) || min);
+    return { min, max };
+}
+
 /**
  * Exported settings object with getters for easy access.
  * Usage: `greetingToolsSettings.collapseByDefault` or `greetingToolsSettings.generateSystemPrompt`
@@ -49,6 +99,15 @@ export const greetingToolsSettings = {
     get replaceNamesWithMacros() {
         return Boolean(ensureSettings().replaceNamesWithMacros);
     },
+    /** @returns {GreetingLengthPreset} */
+    get greetingLength() {
+        const preset = ensureSettings().greetingLength;
+        return preset in GREETING_LENGTH_PRESETS || preset === 'custom' ? preset : 'medium';
+    },
+    /** @returns {WordRange} */
+    get greetingLengthRange() {
+        return getGreetingLengthRange(this.greetingLength);
+    },
     get generateSystemPrompt() {
         return ensureSettings().generateSystemPrompt || DEFAULT_GENERATE_SYSTEM_PROMPT;
     },
@@ -61,6 +120,9 @@ export const greetingToolsSettings = {
     get generationPromptWithoutTheme() {
         return ensureSettings().generationPromptWithoutTheme || DEFAULT_GENERATION_PROMPT_WITHOUT_THEME;
     },
+    get rewriteGreetingSystemPrompt() {
+        return ensureSettings().rewriteGreetingSystemPrompt || DEFAULT_REWRITE_GREETING_SYSTEM_PROMPT;
+    },
 };
 
 /**
@@ -79,6 +141,23 @@ function applySettingsToUI() {
         replaceNamesToggle.checked = settings.replaceNamesWithMacros;
     }
 
+    const greetingLengthSelect = document.getElementById('greeting_tools_greeting_length');
+    if (greetingLengthSelect instanceof HTMLSelectElement) {
+        greetingLengthSelect.value = settings.greetingLength;
+    }
+
+    const greetingLengthMinInput = document.getElementById('greeting_tools_greeting_length_min');
+    if (greetingLengthMinInput instanceof HTMLInputElement) {
+        greetingLengthMinInput.value = String(settings.greetingLengthMin);
+    }
+
+    const greetingLengthMaxInput = document.getElementById('greeting_tools_greeting_length_max');
+    if (greetingLengthMaxInput instanceof HTMLInputElement) {
+        greetingLengthMaxInput.value = String(settings.greetingLengthMax);
+    }
+
+    updateCustomLengthVisibility();
+
     const generatePromptTextarea = document.getElementById('greeting_tools_generate_prompt');
     if (generatePromptTextarea instanceof HTMLTextAreaElement) {
         generatePromptTextarea.value = settings.generateSystemPrompt;
@@ -98,6 +177,21 @@ function applySettingsToUI() {
     if (promptWithoutThemeTextarea instanceof HTMLTextAreaElement) {
         promptWithoutThemeTextarea.value = settings.generationPromptWithoutTheme;
     }
+
+    const rewritePromptTextarea = document.getElementById('greeting_tools_rewrite_prompt');
+    if (rewritePromptTextarea instanceof HTMLTextAreaElement) {
+        rewritePromptTextarea.value = settings.rewriteGreetingSystemPrompt;
+    }
+}
+
+/**
+ * Shows the custom word range inputs only when the 'custom' greeting length preset is selected.
+ */
+function updateCustomLengthVisibility() {
+    const customRange = document.getElementById('greeting_tools_greeting_length_custom');
+    if (customRange instanceof HTMLElement) {
+        customRange.style.display = ensureSettings().greetingLength === 'custom' ? '' : 'none';
+    }
 }
 
 /**
@@ -120,6 +214,36 @@ function registerSettingsEventListeners() {
         }
     });
 
+    document.getElementById('greeting_tools_greeting_length')?.addEventListener('change', (e) => {
+        if (e.target instanceof HTMLSelectElement) {
+            settings.greetingLength = e.target.value;
+            saveSettingsDebounced();
+            updateCustomLengthVisibility();
+        }
+    });
+
+    document.getElementById('greeting_tools_greeting_length_min')?.addEventListener('input', (e) => {
+        if (e.target instanceof HTMLInputElement) {
+            settings.greetingLengthMin = Number(e.target.value);
+            saveSettingsDebounced();
+        }
+    });
+
+    document.getElementById('greeting_tools_greeting_length_max')?.addEventListener('input', (e) => {
+        if (e.target instanceof HTMLInputElement) {
+            settings.greetingLengthMax = Number(e.target.value);
+            saveSettingsDebounced();
+        }
+    });
+
+    document.getElementById('greeting_tools_library')?.addEventListener('click', async () => {
+        await openGreetingLibrary();
+    });
+
+    document.getElementById('greeting_tools_cleanup')?.addEventListener('click', async () => {
+        await runCleanupFlow();
+    });
+
     document.getElementById('greeting_tools_generate_prompt')?.addEventListener('input', (e) => {
         if (e.target instanceof HTMLTextAreaElement) {
             settings.generateSystemPrompt = e.target.value;
@@ -187,15 +311,186 @@ function registerSettingsEventListeners() {
         }
         toastr.success(t`Prompt restored to default`);
     });
+
+    document.getElementById('greeting_tools_rewrite_prompt')?.addEventListener('input', (e) => {
+        if (e.target instanceof HTMLTextAreaElement) {
+            settings.rewriteGreetingSystemPrompt = e.target.value;
+            saveSettingsDebounced();
+        }
+    });
+
+    document.getElementById('greeting_tools_reset_rewrite_prompt')?.addEventListener('click', () => {
+        settings.rewriteGreetingSystemPrompt = DEFAULT_REWRITE_GREETING_SYSTEM_PROMPT;
+        saveSettingsDebounced();
+        const textarea = document.getElementById('greeting_tools_rewrite_prompt');
+        if (textarea instanceof HTMLTextAreaElement) {
+            textarea.value = DEFAULT_REWRITE_GREETING_SYSTEM_PROMPT;
+        }
+        toastr.success(t`Prompt restored to default`);
+    });
 }
 
 /**
  * Initializes extension settings with defaults.
  */
 export function initSettings() {
+    isFreshInstall = !extension_settings[EXTENSION_KEY];
     ensureSettings();
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Prompt Updates
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {Object} PromptUpdate
+ * @property {string} key - Settings key of the prompt
+ * @property {string} label - Display name of the prompt
+ * @property {string} currentValue - The prompt as currently set
+ * @property {string} newDefault - The new default prompt
+ * @property {boolean} isCustomized - Whether the prompt was customized, instead of still being an older default
+ */
+
+/**
+ * Gets the display names of the prompt settings, matching the headings in the settings UI.
+ * @returns {{ [settingKey: string]: string }}
+ */
+function getPromptLabels() {
+    return {
+        generateSystemPrompt: t`Title/Description Generation`,
+        generateGreetingSystemPrompt: t`Greeting Generation`,
+        generationPromptWithTheme: t`Greeting Base (with theme)`,
+        generationPromptWithoutTheme: t`Greeting Base (without theme)`,
+        rewriteGreetingSystemPrompt: t`Greeting Rewrite`,
+    };
+}
+
+/**
+ * Compares two version strings (e.g. '1.0.1') part by part.
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Reads the installed extension version from its manifest.
+ * @returns {Promise<string|null>} The version, or null if it could not be read
+ */
+async function fetchExtensionVersion() {
+    try {
+        const response = await fetch(`/scripts/extensions/third-party/${EXTENSION_NAME}/manifest.json`);
+        if (!response.ok) return null;
+        const manifest = await response.json();
+        return manifest?.version ? String(manifest.version) : null;
+    } catch (error) {
+        console.warn('[GreetingTools] Could not read extension manifest:', error);
+        return null;
+    }
+}
+
+/**
+ * Finds prompts whose default changed since the given version and that are not set to the new default.
+ * @param {string|null} sinceVersion - Version the settings were last used with, or null if it predates version tracking
+ * @returns {PromptUpdate[]}
+ */
+function findPromptUpdates(sinceVersion) {
+    const settings = ensureSettings();
+    const changedDefaults = PREVIOUS_DEFAULT_PROMPTS
+        .filter(entry => !sinceVersion || compareVersions(entry.version, sinceVersion) >= 0);
+
+    /** @type {PromptUpdate[]} */
+    const updates = [];
+    for (const [key, label] of Object.entries(getPromptLabels())) {
+        if (!changedDefaults.some(entry => key in entry.prompts)) continue;
+
+        const currentValue = settings[key];
+        const newDefault = defaultSettings[key];
+        if (!currentValue || currentValue === newDefault) continue;
+
+        // Older defaults are compared untranslated, so translated defaults count as customized
+        const isCustomized = !PREVIOUS_DEFAULT_PROMPTS.some(entry => entry.prompts[key] === currentValue);
+        updates.push({ key, label, currentValue, newDefault, isCustomized });
+    }
+
+    return updates;
+}
+
+/**
+ * Shows the changes of the default prompts and lets the user choose which prompts to update.
+ * Prompts that are still an older default are preselected, customized ones are not.
+ * @param {PromptUpdate[]} updates - The prompts with changed defaults
+ * @param {string} version - The new extension version
+ * @returns {Promise<string[]>} Settings keys of the prompts to update
+ */
+async function showPromptUpdatePopup(updates, version) {
+    const content = document.createElement('div');
+    content.classList.add('greeting-tools-prompt-updates', 'justifyLeft');
+    content.innerHTML = `
+        <h3>${t`Greeting Tools updated to ${version}`}</h3>
+        <p>${t`Some default prompts have changed. Select the prompts you want to update to the new default.`}</p>
+        ${updates.map(update => `
+            <div class="greeting-tools-prompt-update">
+                <label class="checkbox_label">
+                    <input type="checkbox" data-prompt-key="${update.key}" ${update.isCustomized ? '' : 'checked'}>
+                    <b>${escapeHtml(update.label)}</b>
+                    <small>${update.isCustomized ? t`(customized - your changes will be replaced)` : t`(unchanged default)`}</small>
+                </label>
+                <details>
+                    <summary>${t`Show changes`}</summary>
+                    ${renderDiffHtml(diffText(update.currentValue, update.newDefault))}
+                </details>
+            </div>
+        `).join('')}
+    `;
+
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: t`Update selected`,
+        cancelButton: t`Keep current`,
+        wide: true,
+    });
+
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return [];
+
+    return Array.from(content.querySelectorAll('input[data-prompt-key]:checked'))
+        .map(input => input.getAttribute('data-prompt-key'));
+}
+
+/**
+ * Checks whether the extension was updated since it was last used, and offers to update prompts whose default changed.
+ * The current version is stored afterwards, so this is only asked once per update.
+ */
+export async function checkForPromptUpdates() {
+    const settings = ensureSettings();
+    const currentVersion = await fetchExtensionVersion();
+    if (!currentVersion || settings.extensionVersion === currentVersion) return;
+
+    // Fresh installs already use the newest defaults
+    const updates = isFreshInstall ? [] : findPromptUpdates(settings.extensionVersion);
+    if (updates.length > 0) {
+        const selectedKeys = await showPromptUpdatePopup(updates, currentVersion);
+        for (const key of selectedKeys) {
+            settings[key] = defaultSettings[key];
+        }
+        if (selectedKeys.length > 0) {
+            applySettingsToUI();
+            toastr.success(t`Updated ${selectedKeys.length} prompts to the new defaults`);
+        }
+    }
+
+    settings.extensionVersion = currentVersion;
+    saveSettingsDebounced();
+}
+
 /**
  * Injects the extension settings UI into the settings panel.
  */
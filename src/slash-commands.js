@@ -0,0 +1,695 @@
+/**
+ * Slash commands for Greeting Tools extension.
+ * Allows listing, switching and editing greetings via STscript (e.g. from Quick Replies).
+ */
+
+import { this_chid } from '../../../../../script.js';
+import { t } from '../../../../i18n.js';
+import { getStringHash, isFalseBoolean, isTrueBoolean } from '../../../../utils.js';
+import { SlashCommand } from '../../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../../slash-commands/SlashCommandArgument.js';
+import { commonEnumProviders } from '../../../../slash-commands/SlashCommandCommonEnumsProvider.js';
+import { SlashCommandEnumValue, enumTypes } from '../../../../slash-commands/SlashCommandEnumValue.js';
+import { SlashCommandParser } from '../../../../slash-commands/SlashCommandParser.js';
+import {
+    addAlternateGreeting,
+    deleteAlternateGreeting,
+    deleteGreetingHistory,
+    ensureGreetingMetadata,
+    findGreetingMetadata,
+    getGreetingToolsData,
+    getTempGreetings,
+    normalizeGreetingTags,
+    recordGreetingRevision,
+    saveGreetingToolsData,
+    saveTempGreetings,
+    updateButtonAppearance,
+} from './data.js';
+import { emitGreetingEvent, greeting_event_types } from './events.js';
+import { generateGreetingFlow, generateTitleAndDescription, getAllExistingTitles } from './generator.js';
+import { openGreetingLibrary } from './library.js';
+import { switchToRandomGreeting } from './random-greeting.js';
+import { saveCharacterPreservingSwipes } from './popup.js';
+import { GREETING_LENGTH_PRESETS, getGreetingLengthRange } from './settings.js';
+import {
+    addTempGreetingSwipe,
+    canAddTempGreeting,
+    getAllGreetingOptions,
+    getCurrentSwipeId,
+    isGreetingChangeable,
+    refreshGreetingSelector,
+    removeTempGreetingSwipe,
+    switchToGreeting,
+} from './selector.js';
+
+/** @typedef {import('./selector.js').GreetingOption} GreetingOption */
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Checks whether a character is selected, and warns otherwise.
+ * @returns {boolean}
+ */
+function ensureCharacterSelected() {
+    if (this_chid === undefined) {
+        toastr.warning(t`No character selected`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Resolves a greeting reference to a greeting option.
+ * The reference can be a swipe index (0 = main, 1+ = alternate), a greeting ID or a greeting title (case-insensitive).
+ * If no reference is given, the greeting currently active in the chat is used.
+ * @param {string} [ref] - Greeting reference
+ * @returns {GreetingOption | null} The matching greeting option or null if not found
+ */
+function resolveGreeting(ref) {
+    const options = getAllGreetingOptions({ onlyValidSwipes: false });
+    const value = String(ref ?? '').trim();
+
+    if (!value) {
+        return options.find(opt => opt.swipeIndex === getCurrentSwipeId()) ?? null;
+    }
+
+    if (/^\d+$/.test(value)) {
+        return options.find(opt => opt.swipeIndex === Number(value)) ?? null;
+    }
+
+    return options.find(opt => opt.id === value)
+        ?? options.find(opt => opt.title.toLowerCase() === value.toLowerCase())
+        ?? null;
+}
+
+/**
+ * Resolves a greeting reference and warns if it can't be found.
+ * @param {string} [ref] - Greeting reference
+ * @returns {GreetingOption | null}
+ */
+function resolveGreetingOrWarn(ref) {
+    const option = resolveGreeting(ref);
+    if (!option) {
+        toastr.warning(t`Greeting not found: ${ref || t`current greeting`}`);
+    }
+    return option;
+}
+
+/**
+ * Updates title, description and/or tags of a greeting (saved or temp).
+ * Changed titles and descriptions are recorded in the greeting's revision history.
+ * @param {GreetingOption} option - The greeting to update
+ * @param {{ title?: string, description?: string, tags?: string[] }} changes - Values to set
+ * @param {object} [options]
+ * @param {import('./data.js').GreetingRevisionSource} [options.source='manual'] - How the new values were created
+ * @returns {Promise<void>}
+ */
+async function updateGreetingDetails(option, changes, { source = 'manual' } = {}) {
+    /**
+     * @param {string} greetingId
+     * @param {{ title?: string, description?: string }} previous - Greeting details before the change
+     */
+    const recordRevision = async (greetingId, previous) => {
+        if (!('title' in changes) && !('description' in changes)) return;
+        const before = { content: option.content, title: previous.title ?? '', description: previous.description ?? '' };
+        const after = { content: option.content, title: changes.title ?? before.title, description: changes.description ?? before.description };
+        await recordGreetingRevision(greetingId, before, after, source);
+    };
+
+    if (option.isTemp) {
+        const tempGreetings = getTempGreetings();
+        const tempData = tempGreetings.get(option.swipeIndex);
+        if (tempData) {
+            tempGreetings.set(option.swipeIndex, { ...tempData, ...changes });
+            await saveTempGreetings(tempGreetings);
+            await recordRevision(tempData.id, tempData);
+        }
+    } else {
+        const metadata = getGreetingToolsData();
+        const meta = ensureGreetingMetadata(metadata, option.swipeIndex, option.content);
+        const previous = { title: meta.title, description: meta.description };
+        Object.assign(meta, changes);
+        await saveGreetingToolsData(metadata);
+        await recordRevision(meta.id, previous);
+        await emitGreetingEvent(greeting_event_types.GREETING_METADATA_UPDATED, { greetingId: meta.id, swipeIndex: option.swipeIndex, chid: this_chid });
+    }
+
+    refreshGreetingSelector();
+}
+
+/**
+ * Checks whether a greeting has a user-defined title (instead of the default display title).
+ * @param {GreetingOption} option - The greeting to check
+ * @returns {boolean}
+ */
+function hasCustomTitle(option) {
+    if (option.isTemp) {
+        return Boolean(getTempGreetings().get(option.swipeIndex)?.title);
+    }
+
+    const metadata = getGreetingToolsData();
+    if (option.swipeIndex === 0) {
+        return Boolean(metadata.mainGreeting?.title);
+    }
+    return Boolean(findGreetingMetadata(metadata, option.swipeIndex - 1, getStringHash(option.content))?.title);
+}
+
+/**
+ * Parses a greeting length argument, either a preset name or a word range like "100-200".
+ * @param {string} [value] - The argument value
+ * @returns {import('./settings.js').WordRange | undefined} The word range, or undefined to use the length from settings
+ */
+function parseGreetingLength(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return undefined;
+
+    const rangeMatch = text.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (rangeMatch) {
+        return getGreetingLengthRange('custom', { min: Number(rangeMatch[1]), max: Number(rangeMatch[2]) });
+    }
+    if (text in GREETING_LENGTH_PRESETS) {
+        return getGreetingLengthRange(/** @type {import('./settings.js').GreetingLengthPreset} */ (text));
+    }
+
+    toastr.warning(t`Unknown greeting length "${value}", using the length from settings`);
+    return undefined;
+}
+
+/**
+ * Enum provider listing all greetings of the current character by swipe index.
+ * @returns {SlashCommandEnumValue[]}
+ */
+function greetingEnumProvider() {
+    return getAllGreetingOptions({ onlyValidSwipes: false })
+        .map(opt => new SlashCommandEnumValue(String(opt.swipeIndex), opt.isTemp ? `[${t`TEMP`}] ${opt.title}` : opt.title, enumTypes.number, '#'));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Command Callbacks
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * /greeting-list - Lists all greetings of the current character.
+ * @param {{ format?: string }} args
+ * @returns {Promise<string>}
+ */
+async function listGreetingsCallback(args) {
+    if (!ensureCharacterSelected()) return '';
+
+    const options = getAllGreetingOptions({ onlyValidSwipes: false });
+    if (args.format === 'titles') {
+        return options.map(opt => opt.title).join('\n');
+    }
+
+    return JSON.stringify(options.map(opt => ({
+        index: opt.swipeIndex,
+        id: opt.id,
+        title: opt.title,
+        description: opt.description,
+        tags: opt.tags,
+        temp: Boolean(opt.isTemp),
+    })));
+}
+
+/**
+ * /greeting-switch - Switches the first message to the given greeting.
+ * @param {object} _args
+ * @param {string} ref - Greeting reference
+ * @returns {Promise<string>}
+ */
+async function switchGreetingCallback(_args, ref) {
+    if (!ensureCharacterSelected()) return '';
+
+    if (!isGreetingChangeable()) {
+        toastr.warning(t`The greeting can only be changed while the chat contains only the first message`);
+        return '';
+    }
+
+    const option = resolveGreetingOrWarn(ref);
+    if (!option) return '';
+
+    if (option.swipeIndex !== getCurrentSwipeId()) {
+        await switchToGreeting(option.swipeIndex);
+    }
+    return String(option.swipeIndex);
+}
+
+/**
+ * /greeting-random - Switches the first message to a random greeting.
+ * @returns {Promise<string>}
+ */
+async function randomGreetingCallback() {
+    if (!ensureCharacterSelected()) return '';
+
+    if (!isGreetingChangeable()) {
+        toastr.warning(t`The greeting can only be changed while the chat contains only the first message`);
+        return '';
+    }
+
+    const swipeIndex = await switchToRandomGreeting();
+    return swipeIndex === null ? '' : String(swipeIndex);
+}
+
+/**
+ * /greeting-set-title - Sets the title of a greeting.
+ * @param {{ greeting?: string }} args
+ * @param {string} title - The new title
+ * @returns {Promise<string>}
+ */
+async function setTitleCallback(args, title) {
+    if (!ensureCharacterSelected()) return '';
+
+    const option = resolveGreetingOrWarn(args.greeting);
+    if (!option) return '';
+
+    const newTitle = String(title ?? '').trim();
+    await updateGreetingDetails(option, { title: newTitle });
+    return newTitle;
+}
+
+/**
+ * /greeting-set-description - Sets the description of a greeting.
+ * @param {{ greeting?: string }} args
+ * @param {string} description - The new description
+ * @returns {Promise<string>}
+ */
+async function setDescriptionCallback(args, description) {
+    if (!ensureCharacterSelected()) return '';
+
+    const option = resolveGreetingOrWarn(args.greeting);
+    if (!option) return '';
+
+    const newDescription = String(description ?? '').trim();
+    await updateGreetingDetails(option, { description: newDescription });
+    return newDescription;
+}
+
+/**
+ * /greeting-set-tags - Sets the tags of a greeting.
+ * @param {{ greeting?: string }} args
+ * @param {string} tags - Comma-separated tags (empty to remove all tags)
+ * @returns {Promise<string>}
+ */
+async function setTagsCallback(args, tags) {
+    if (!ensureCharacterSelected()) return '';
+
+    const option = resolveGreetingOrWarn(args.greeting);
+    if (!option) return '';
+
+    const newTags = normalizeGreetingTags(String(tags ?? ''));
+    await updateGreetingDetails(option, { tags: newTags });
+    return newTags.join(', ');
+}
+
+/**
+ * /greeting-add - Adds a new alternate greeting.
+ * @param {{ title?: string, description?: string }} args
+ * @param {string} content - Greeting content
+ * @returns {Promise<string>}
+ */
+async function addGreetingCallback(args, content) {
+    if (!ensureCharacterSelected()) return '';
+
+    const text = String(content ?? '').trim();
+    if (!text) {
+        toastr.warning(t`Greeting content is required`);
+        return '';
+    }
+
+    const swipeIndex = await addAlternateGreeting(text, {
+        title: String(args.title ?? '').trim(),
+        description: String(args.description ?? '').trim(),
+    });
+    if (swipeIndex === -1) return '';
+
+    await saveCharacterPreservingSwipes();
+    updateButtonAppearance(this_chid);
+    return String(swipeIndex);
+}
+
+/**
+ * /greeting-delete - Deletes an alternate or temporary greeting.
+ * @param {object} _args
+ * @param {string} ref - Greeting reference
+ * @returns {Promise<string>}
+ */
+async function deleteGreetingCallback(_args, ref) {
+    if (!ensureCharacterSelected()) return '';
+
+    if (!String(ref ?? '').trim()) {
+        toastr.warning(t`Specify which greeting to delete`);
+        return '';
+    }
+
+    const option = resolveGreetingOrWarn(ref);
+    if (!option) return '';
+
+    if (option.swipeIndex === 0) {
+        toastr.warning(t`The main greeting cannot be deleted`);
+        return '';
+    }
+
+    if (option.isTemp) {
+        await removeTempGreetingSwipe(option.swipeIndex);
+        await deleteGreetingHistory(option.id);
+        refreshGreetingSelector();
+    } else {
+        const deleted = await deleteAlternateGreeting(option.swipeIndex);
+        if (!deleted) return '';
+        await saveCharacterPreservingSwipes();
+    }
+
+    updateButtonAppearance(this_chid);
+    return '';
+}
+
+/**
+ * /greeting-generate - Generates a new greeting, saved as alternate or as temporary greeting.
+ * @param {{ temp?: string, details?: string, length?: string }} args
+ * @param {string} prompt - Optional theme or scenario
+ * @returns {Promise<string>}
+ */
+async function generateGreetingCallback(args, prompt) {
+    if (!ensureCharacterSelected()) return '';
+
+    const asTemp = isTrueBoolean(String(args.temp ?? 'false'));
+    if (asTemp && !canAddTempGreeting()) {
+        toastr.warning(t`Temporary greetings can only be generated while the chat contains only the greeting message`);
+        return '';
+    }
+
+    const [generated] = await generateGreetingFlow({
+        defaultTitle: asTemp ? t`Temporary Greeting` : '',
+        loaderMessage: asTemp ? t`Generating temporary greeting...` : undefined,
+        defaultTarget: asTemp ? 'temp' : 'alternate',
+        popupResult: {
+            prompt: String(prompt ?? '').trim(),
+            generateTitleDesc: !isFalseBoolean(String(args.details ?? 'true')),
+            length: parseGreetingLength(args.length),
+        },
+    });
+    if (!generated) return '';
+
+    if (asTemp) {
+        const swipeIndex = await addTempGreetingSwipe(generated);
+        refreshGreetingSelector();
+        return swipeIndex === null ? '' : String(swipeIndex);
+    }
+
+    const swipeIndex = await addAlternateGreeting(generated.content, {
+        id: generated.id,
+        title: generated.title,
+        description: generated.description,
+    });
+    if (swipeIndex === -1) return '';
+
+    await saveCharacterPreservingSwipes();
+    updateButtonAppearance(this_chid);
+    return String(swipeIndex);
+}
+
+/**
+ * /greeting-autofill - Generates title and description for a greeting.
+ * @param {{ overwrite?: string }} args
+ * @param {string} ref - Greeting reference
+ * @returns {Promise<string>}
+ */
+async function autoFillCallback(args, ref) {
+    if (!ensureCharacterSelected()) return '';
+
+    const option = resolveGreetingOrWarn(ref);
+    if (!option) return '';
+
+    const overwrite = isTrueBoolean(String(args.overwrite ?? 'false'));
+    if (hasCustomTitle(option) && !overwrite) {
+        return option.title;
+    }
+
+    const generated = await generateTitleAndDescription(option.content, { existingTitles: getAllExistingTitles() });
+    if (!generated) return '';
+
+    await updateGreetingDetails(option, { title: generated.title, description: generated.description }, { source: 'generated' });
+    return generated.title;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registration
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Registers all Greeting Tools slash commands.
+ */
+export function registerSlashCommands() {
+    const greetingArgumentDescription = t`swipe index (0 = main greeting), greeting ID or title`;
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-list',
+        callback: listGreetingsCallback,
+        returns: t`JSON array of greetings, or a newline-separated list of titles`,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'format',
+                description: t`output format`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'json',
+                enumList: ['json', 'titles'],
+            }),
+        ],
+        helpString: `
+            <div>${t`Lists all greetings of the current character, including temporary greetings of the current chat.`}</div>
+            <div>${t`Each entry contains the swipe index, greeting ID, title, description and whether it is a temporary greeting.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-list format=titles | /echo</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-switch',
+        callback: switchGreetingCallback,
+        returns: t`swipe index of the selected greeting`,
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: greetingArgumentDescription,
+                typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: greetingEnumProvider,
+            }),
+        ],
+        helpString: `
+            <div>${t`Switches the first message of the chat to the given greeting.`}</div>
+            <div>${t`Only works while the chat contains only the greeting message.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-switch Rainy Café</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-random',
+        callback: randomGreetingCallback,
+        returns: t`swipe index of the selected greeting`,
+        helpString: `
+            <div>${t`Switches the first message of the chat to a random greeting, using the character's random greeting settings.`}</div>
+            <div>${t`Only works while the chat contains only the greeting message.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-random</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-set-title',
+        callback: setTitleCallback,
+        returns: t`the new title`,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'greeting',
+                description: `${greetingArgumentDescription} - ${t`defaults to the active greeting`}`,
+                typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING],
+                enumProvider: greetingEnumProvider,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`title`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>${t`Sets the title of a greeting.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-set-title greeting=2 Rainy Café</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-set-description',
+        callback: setDescriptionCallback,
+        returns: t`the new description`,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'greeting',
+                description: `${greetingArgumentDescription} - ${t`defaults to the active greeting`}`,
+                typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING],
+                enumProvider: greetingEnumProvider,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`description`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>${t`Sets the description of a greeting.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-set-description greeting=2 {{char}} meets {{user}} at a café on a rainy day.</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-set-tags',
+        callback: setTagsCallback,
+        returns: t`the new tags, comma-separated`,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'greeting',
+                description: `${greetingArgumentDescription} - ${t`defaults to the active greeting`}`,
+                typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING],
+                enumProvider: greetingEnumProvider,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`comma-separated tags`,
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: `
+            <div>${t`Sets the tags of a greeting, replacing its current tags. Without tags, all tags are removed.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-set-tags greeting=2 sfw, fantasy, slow-burn</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-add',
+        callback: addGreetingCallback,
+        returns: t`swipe index of the new greeting`,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'title',
+                description: t`title of the new greeting`,
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'description',
+                description: t`description of the new greeting`,
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`greeting content`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: true,
+            }),
+        ],
+        helpString: `
+            <div>${t`Adds a new alternate greeting to the current character and saves the character.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-add title="Rainy Café" *{{char}} looks up from their book.* Oh, hi!</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-delete',
+        callback: deleteGreetingCallback,
+        returns: t`empty string`,
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: greetingArgumentDescription,
+                typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING],
+                isRequired: true,
+                enumProvider: greetingEnumProvider,
+            }),
+        ],
+        helpString: `
+            <div>${t`Deletes an alternate greeting or a temporary greeting. The main greeting cannot be deleted.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-delete 3</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-generate',
+        callback: generateGreetingCallback,
+        returns: t`swipe index of the generated greeting`,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'temp',
+                description: t`add as temporary greeting to the current chat instead of saving it as alternate greeting (only while the chat contains only the greeting message)`,
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: commonEnumProviders.boolean('trueFalse')(),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'details',
+                description: t`also generate title and description`,
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'true',
+                enumList: commonEnumProviders.boolean('trueFalse')(),
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'length',
+                description: t`greeting length - a preset or a word range like 100-200 (defaults to the length from settings)`,
+                typeList: [ARGUMENT_TYPE.STRING],
+                enumList: Object.keys(GREETING_LENGTH_PRESETS),
+                forceEnum: false,
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: t`theme or scenario for the new greeting`,
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        helpString: `
+            <div>${t`Generates a new greeting with the LLM, using the configured greeting generation prompts.`}</div>
+            <div>${t`Without a theme, a general new greeting based on the character is generated.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-generate temp=true A rainy day at a café | /greeting-set-title greeting={{pipe}} Café</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-autofill',
+        callback: autoFillCallback,
+        returns: t`the title of the greeting`,
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'overwrite',
+                description: t`overwrite existing title and description`,
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: commonEnumProviders.boolean('trueFalse')(),
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: `${greetingArgumentDescription} - ${t`defaults to the active greeting`}`,
+                typeList: [ARGUMENT_TYPE.NUMBER, ARGUMENT_TYPE.STRING],
+                enumProvider: greetingEnumProvider,
+            }),
+        ],
+        helpString: `
+            <div>${t`Generates a title and description for a greeting with the LLM.`}</div>
+            <div>${t`Greetings that already have a title are skipped, unless overwrite=true is set.`}</div>
+            <div><strong>${t`Example:`}</strong> <pre><code>/greeting-autofill overwrite=true 2</code></pre></div>
+        `,
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'greeting-library',
+        callback: async () => {
+            await openGreetingLibrary();
+            return '';
+        },
+        helpString: `
+            <div>${t`Opens the greeting library, which lists the greetings of all characters with search and filters.`}</div>
+        `,
+    }));
+}
@@ -0,0 +1,242 @@
+/**
+ * Greeting usage statistics for Greeting Tools extension.
+ * Tracks which greeting new chats start with, and which greeting a chat continued with once the user sends the first message.
+ * Group chats only remember which greetings their members started with.
+ */
+
+import { characters, chat, chat_metadata, eventSource, event_types, this_chid } from '../../../../../script.js';
+import { saveMetadataDebounced } from '../../../../extensions.js';
+import { selected_group } from '../../../../group-chats.js';
+import { getStringHash } from '../../../../utils.js';
+import { EXTENSION_NAME } from '../index.js';
+import { findGreetingMetadataBySwipeIndex, getGreetingToolsData, getGreetingUsageKey, getTempGreetings, hasGroupStartGreetings, setGroupStartGreetings, setStartGreeting, updateGreetingUsage } from './data.js';
+import { getGroupGreetingMessages } from './group-selector.js';
+import { getGreetingOptions, refreshGreetingSelector } from './selector.js';
+
+/**
+ * Gets the Greeting Tools state of the current chat, creating it if needed.
+ * @returns {object}
+ */
+function getChatState() {
+    if (!chat_metadata[EXTENSION_NAME]) {
+        chat_metadata[EXTENSION_NAME] = {};
+    }
+    return chat_metadata[EXTENSION_NAME];
+}
+
+/**
+ * Gets the content of the card greeting the first message shows.
+ * @returns {string | null} The content, or null for temp greetings and edited swipes
+ */
+function getShownCardGreetingContent() {
+    const swipeIndex = chat[0].swipe_id ?? 0;
+    if (getTempGreetings().has(swipeIndex)) return null;
+
+    const character = characters[this_chid];
+    const content = swipeIndex === 0
+        ? character?.first_mes
+        : character?.data?.alternate_greetings?.[swipeIndex - 1];
+    return typeof content === 'string' ? content : null;
+}
+
+/** Delay before counted greeting starts are written to the card, so swiping through greetings saves it once */
+const STARTED_USAGE_SAVE_DELAY = 2000;
+
+/** @type {{ chid: string, changes: { [usageKey: string]: number } } | null} Started counts not written to the card yet */
+let pendingStartedUsage = null;
+
+/** @type {ReturnType<typeof setTimeout> | null} */
+let startedUsageTimer = null;
+
+/** @type {Promise<void>} Card writes of started counts, chained so they never overlap */
+let startedUsageQueue = Promise.resolve();
+
+/**
+ * Writes the pending started counts to the card.
+ * @returns {Promise<void>} Resolves once all counts so far are written
+ */
+function flushStartedUsage() {
+    if (startedUsageTimer) {
+        clearTimeout(startedUsageTimer);
+        startedUsageTimer = null;
+    }
+
+    const pending = pendingStartedUsage;
+    pendingStartedUsage = null;
+    if (pending) {
+        startedUsageQueue = startedUsageQueue
+            .then(() => updateGreetingUsage('started', pending.changes, { chid: pending.chid }))
+            .catch(error => console.error('[GreetingTools] Failed to save greeting usage:', error));
+    }
+    return startedUsageQueue;
+}
+
+/**
+ * Moves a started count from one greeting to another. The changes are collected and written to the card later.
+ * @param {string} chid - Character ID
+ * @param {string | null} fromKey - Usage key to take the count from
+ * @param {string | null} toKey - Usage key to add the count to
+ */
+function moveStartedUsage(chid, fromKey, toKey) {
+    if (pendingStartedUsage && pendingStartedUsage.chid !== chid) {
+        flushStartedUsage();
+    }
+    if (!pendingStartedUsage) {
+        pendingStartedUsage = { chid, changes: {} };
+    }
+
+    const { changes } = pendingStartedUsage;
+    if (fromKey) changes[fromKey] = (changes[fromKey] ?? 0) - 1;
+    if (toKey) changes[toKey] = (changes[toKey] ?? 0) + 1;
+
+    if (startedUsageTimer) clearTimeout(startedUsageTimer);
+    startedUsageTimer = setTimeout(() => flushStartedUsage(), STARTED_USAGE_SAVE_DELAY);
+}
+
+/**
+ * Counts the greeting a new chat starts with. While the chat has only the greeting, switching to another greeting
+ * moves the count, so each chat counts once for the greeting it was shown with last.
+ * The card is only saved once the user stopped switching greetings for a moment.
+ * @param {object} [options]
+ * @param {boolean} [options.isNewChat=false] - Whether the chat was just created, otherwise only an existing count is moved
+ */
+function recordStartedGreeting({ isNewChat = false } = {}) {
+    if (this_chid === undefined || selected_group) return;
+    if (!chat || chat.length !== 1 || chat[0].is_user) return;
+
+    // Chats from before usage tracking have no count to move
+    if (!isNewChat && chat_metadata[EXTENSION_NAME]?.startedUsageKey === undefined) return;
+
+    const state = getChatState();
+    const swipeIndex = chat[0].swipe_id ?? 0;
+    const content = getShownCardGreetingContent();
+    const usageKey = content === null ? null : getGreetingUsageKey(getGreetingToolsData({ chid: this_chid }), swipeIndex, content);
+
+    const previousKey = state.startedUsageKey ?? null;
+    if (previousKey === usageKey) return;
+
+    moveStartedUsage(this_chid, previousKey, usageKey);
+    state.startedUsageKey = usageKey;
+    saveMetadataDebounced();
+}
+
+/**
+ * Records the usage of the active greeting, when the user sends the first message of the chat.
+ * Also remembers which greeting the chat started with, so it can still be shown after the card changed.
+ * Each chat is only counted once, tracked via a flag in the chat metadata.
+ */
+async function recordUsageIfChatContinued() {
+    if (this_chid === undefined || selected_group) return;
+
+    // Only count the moment the chat moves past the greeting, not on later messages or older chats
+    if (!chat || chat.length !== 2 || chat[0].is_user || !chat[1].is_user) return;
+
+    const state = getChatState();
+    if (state.usageRecorded) return;
+    state.usageRecorded = true;
+    saveMetadataDebounced();
+
+    // Temp greetings are not part of the character card, so there is nothing to record them on
+    const swipeIndex = chat[0].swipe_id ?? 0;
+    const tempData = getTempGreetings().get(swipeIndex);
+    if (tempData) {
+        setStartGreeting({
+            id: tempData.id,
+            title: tempData.title,
+            contentHash: getStringHash(tempData.content),
+            swipeIndex,
+            isTemp: true,
+        });
+        saveMetadataDebounced();
+        refreshGreetingSelector();
+        return;
+    }
+
+    const content = getShownCardGreetingContent();
+    if (content === null) return;
+
+    // Both counters are saved with the whole card, so the started count has to be written first
+    await flushStartedUsage();
+    const metadata = getGreetingToolsData({ chid: this_chid });
+    await updateGreetingUsage('count', { [getGreetingUsageKey(metadata, swipeIndex, content)]: 1 }, { chid: this_chid });
+
+    const option = getGreetingOptions().find(opt => opt.swipeIndex === swipeIndex);
+    setStartGreeting({
+        id: option?.id ?? '',
+        title: findGreetingMetadataBySwipeIndex(metadata, this_chid, swipeIndex)?.title ?? '',
+        contentHash: getStringHash(content),
+        swipeIndex,
+    });
+    saveMetadataDebounced();
+    refreshGreetingSelector();
+}
+
+/**
+ * Remembers which greetings the members of a group chat started with, when the user sends the first message after them.
+ * Greeting messages that were edited, and no longer match any greeting of their member, are left out.
+ * @param {number} messageId - Index of the sent message
+ */
+function recordGroupStartGreetings(messageId) {
+    if (!selected_group || hasGroupStartGreetings()) return;
+
+    const greetingMessages = getGroupGreetingMessages();
+    if (greetingMessages.length === 0 || messageId !== greetingMessages.length) return;
+    if (chat.length !== messageId + 1 || !chat[messageId].is_user) return;
+
+    /** @type {{ [avatar: string]: import('./data.js').StartGreetingSnapshot }} */
+    const snapshots = {};
+    for (const { chid, current } of greetingMessages) {
+        const avatar = characters[chid]?.avatar;
+        if (!avatar || !current) continue;
+        snapshots[avatar] = {
+            id: current.id,
+            title: current.title,
+            contentHash: getStringHash(current.content),
+            swipeIndex: current.swipeIndex,
+        };
+    }
+
+    setGroupStartGreetings(snapshots);
+    saveMetadataDebounced();
+    refreshGreetingSelector();
+}
+
+/**
+ * Handles sent messages - only the user's first message after the greeting is relevant.
+ * @param {number} messageId
+ */
+async function onMessageSent(messageId) {
+    if (selected_group) {
+        recordGroupStartGreetings(messageId);
+        return;
+    }
+    if (messageId === 1) {
+        await recordUsageIfChatContinued();
+    }
+}
+
+/**
+ * Handles newly created chats - counts the greeting they start with.
+ */
+function onChatCreated() {
+    recordStartedGreeting({ isNewChat: true });
+}
+
+/**
+ * Handles swipes - switching the greeting of a new chat changes the greeting it started with.
+ * @param {number} messageId
+ */
+function onMessageSwiped(messageId) {
+    if (messageId === 0) {
+        recordStartedGreeting();
+    }
+}
+
+/**
+ * Initializes greeting usage tracking.
+ */
+export function initUsageTracking() {
+    eventSource.on(event_types.CHAT_CREATED, onChatCreated);
+    eventSource.on(event_types.MESSAGE_SWIPED, onMessageSwiped);
+    eventSource.on(event_types.MESSAGE_SENT, onMessageSent);
+}